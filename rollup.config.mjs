@@ -20,4 +20,12 @@ export default defineConfig([
         },
         plugins: [nodeResolve(), commonjs()],
     },
+    {
+        input: './src/options.js',
+        output: {
+            file: './dist/options.js',
+            format: 'esm',
+        },
+        plugins: [nodeResolve(), commonjs()],
+    },
 ]);
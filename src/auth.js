@@ -0,0 +1,203 @@
+import { getHashParams } from './utils-esm.js';
+import Logger from './logger.js';
+
+/**
+ * Response of the twitch `/oauth2/validate` endpoint.
+ * @typedef {Object} TokenValidation
+ * @property {string} client_id
+ * @property {string} login
+ * @property {string} user_id
+ * @property {string[]} scopes
+ * @property {number} expires_in - Seconds until the token expires.
+ */
+
+/**
+ * Token as persisted in `chrome.storage.session`. Unlike `local` and `sync`, session storage is only
+ * readable by trusted contexts (worker, extension pages), not by content scripts running in twitch pages.
+ * It lasts until the browser closes, the silent flow gets a new token afterwards.
+ * @typedef {Object} StoredToken
+ * @property {string} accessToken
+ * @property {number} expiresAt - Unix time in ms.
+ */
+
+const STORAGE_KEY = 'twitch_auth';
+
+/**
+ * Thrown when neither a stored token nor any of the authorization flows produced a usable token.
+ */
+export class AuthRequiredError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthRequiredError';
+    }
+}
+
+/**
+ * Obtains user access tokens through the implicit grant flow and keeps them across sessions.
+ */
+export class TwitchAuth {
+    logger = new Logger();
+
+    /**
+     * @param {string} clientId - The application client id.
+     * @param {string} redirectUri - Redirect uri registered for the application.
+     * @param {string} scope - Space separated scopes the token needs.
+     */
+    constructor(clientId, redirectUri, scope) {
+        this.clientId = clientId;
+        this.redirectUri = redirectUri;
+        this.scope = scope;
+    }
+
+    /**
+     * Get a valid access token, trying in order the stored token, the silent flow and the interactive flow.
+     *
+     * @returns {Promise<{accessToken: string, validation: TokenValidation}>}
+     * @throws {AuthRequiredError} when every way of getting a token failed.
+     * @throws {Error} when the stored token could not be checked, e.g. while twitch is unreachable.
+     */
+    async getAccessToken() {
+        const stored = await this.loadToken();
+        if (stored) {
+            const validation = await this.validate(stored.accessToken);
+            if (validation) {
+                this.logger.info('Reusing stored access token');
+                return { accessToken: stored.accessToken, validation };
+            }
+            await this.clearToken();
+        }
+
+        for (const interactive of [false, true]) {
+            try {
+                const accessToken = await this.authorize(interactive);
+                const validation = await this.validate(accessToken);
+                if (validation) {
+                    await this.storeToken(accessToken, validation);
+                    return { accessToken, validation };
+                }
+            } catch (e) {
+                this.logger.warn(
+                    `${interactive ? 'Interactive' : 'Silent'} authorization failed: ${e.message}`
+                );
+            }
+        }
+
+        throw new AuthRequiredError('Could not obtain a twitch access token');
+    }
+
+    /**
+     * Check a token against twitch, resolves with null when it is no longer usable
+     * (expired, revoked, issued to another client or missing a scope we need).
+     *
+     * @param {string} accessToken
+     * @returns {Promise<TokenValidation | null>}
+     */
+    async validate(accessToken) {
+        const response = await fetch('https://id.twitch.tv/oauth2/validate', {
+            headers: { Authorization: `OAuth ${accessToken}` },
+        });
+        if (response.status === 401) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Token validation failed with ${response.status}`);
+        }
+
+        /** @type {TokenValidation} */
+        const validation = await response.json();
+        const missingScopes = this.scope
+            .split(' ')
+            .filter((scope) => !validation.scopes.includes(scope));
+
+        if (validation.client_id !== this.clientId || missingScopes.length) {
+            this.logger.warn(
+                `Token is missing scopes: ${missingScopes.join(' ')}`
+            );
+            return null;
+        }
+
+        return validation;
+    }
+
+    /**
+     * Run the implicit grant flow.
+     *
+     * @param {boolean} interactive - Whether twitch may show a login / consent page.
+     * @returns {Promise<string>} - The access token.
+     */
+    async authorize(interactive) {
+        this.logger.info('Setting up 2oath page');
+
+        let authUrl = new URL('https://id.twitch.tv/oauth2/authorize');
+        const state = crypto.randomUUID();
+
+        authUrl.searchParams.append('response_type', 'token');
+        authUrl.searchParams.append('client_id', this.clientId);
+        authUrl.searchParams.append('redirect_uri', this.redirectUri);
+        authUrl.searchParams.append('scope', this.scope);
+        authUrl.searchParams.append('state', state);
+
+        const responseURL = await chrome.identity.launchWebAuthFlow({
+            url: authUrl.toString(),
+            interactive,
+        });
+        const responseParams = getHashParams(new URL(responseURL).hash);
+
+        const error = responseParams.get('error');
+        const errorDescription = responseParams.get('error_description');
+
+        if (error) {
+            throw new Error(
+                `Authentication Error (${error}): ${errorDescription}`
+            );
+        }
+
+        if (responseParams.get('state') !== state) {
+            this.logger.warn(`Stored state: ${state}`);
+            this.logger.warn(`Returned state: ${responseParams.get('state')}`);
+            throw new Error(
+                'Security Error: Invalid state parameter. Possible CSRF attack.'
+            );
+        }
+
+        const accessToken = responseParams.get('access_token');
+
+        if (!accessToken) {
+            throw new Error('Missing access token in OAuth response.');
+        }
+
+        return accessToken;
+    }
+
+    /**
+     * @returns {Promise<StoredToken | null>}
+     */
+    async loadToken() {
+        // older versions kept the token where content scripts can read it
+        await chrome.storage.local.remove(STORAGE_KEY);
+
+        const { [STORAGE_KEY]: stored } =
+            await chrome.storage.session.get(STORAGE_KEY);
+        if (!stored || stored.expiresAt <= Date.now()) {
+            return null;
+        }
+        return stored;
+    }
+
+    /**
+     * @param {string} accessToken
+     * @param {TokenValidation} validation
+     */
+    async storeToken(accessToken, validation) {
+        /** @type {StoredToken} */
+        const stored = {
+            accessToken,
+            expiresAt: Date.now() + validation.expires_in * 1000,
+        };
+        await chrome.storage.session.set({ [STORAGE_KEY]: stored });
+    }
+
+    async clearToken() {
+        await chrome.storage.session.remove(STORAGE_KEY);
+    }
+}
@@ -0,0 +1,67 @@
+/** @typedef {import('./helix.js').HelixBadgeSet} HelixBadgeSet */
+/** @typedef {import('./ircMessage.js').Badge} Badge */
+
+/**
+ * Image and title of a single badge version.
+ * @typedef {Object} BadgeDefinition
+ * @property {string} title
+ * @property {{1: string, 2: string, 4: string}} urls
+ */
+
+/**
+ * Badge definitions keyed by set id and version id.
+ * @typedef {Object.<string, Object.<string, BadgeDefinition>>} BadgeDefinitions
+ */
+
+/**
+ * Badge sets whose `badge-info` holds the number of subscribed months.
+ */
+const MONTH_BADGE_SETS = ['subscriber', 'founder'];
+
+/**
+ * Merge global and channel badge sets, channel versions replace global ones
+ * (custom subscriber and bits badges).
+ *
+ * @param {HelixBadgeSet[]} globalSets
+ * @param {HelixBadgeSet[]} channelSets
+ * @returns {BadgeDefinitions}
+ */
+export function mergeBadgeSets(globalSets, channelSets) {
+    /** @type {BadgeDefinitions} */
+    const definitions = {};
+
+    [...globalSets, ...channelSets].forEach((badgeSet) => {
+        const versions = (definitions[badgeSet.set_id] ||= {});
+        badgeSet.versions.forEach((version) => {
+            versions[version.id] = {
+                title: version.title,
+                urls: {
+                    1: version.image_url_1x,
+                    2: version.image_url_2x,
+                    4: version.image_url_4x,
+                },
+            };
+        });
+    });
+
+    return definitions;
+}
+
+/**
+ * Tooltip of a badge, subscription badges additionally tell the exact month count.
+ *
+ * @param {BadgeDefinition} definition
+ * @param {Badge} badge
+ * @returns {string}
+ *
+ * @example
+ * getBadgeTooltip({ title: '1-Year Subscriber', urls }, { set: 'subscriber', version: '12', info: '14' });
+ * // '1-Year Subscriber (14 months)'
+ */
+export function getBadgeTooltip(definition, badge) {
+    if (MONTH_BADGE_SETS.includes(badge.set) && badge.info) {
+        const months = Number(badge.info);
+        return `${definition.title} (${months} ${months === 1 ? 'month' : 'months'})`;
+    }
+    return definition.title;
+}
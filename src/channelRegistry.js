@@ -0,0 +1,199 @@
+import IRCMessage from './ircMessage.js';
+import { DEFAULT_ROOM_STATE } from './roomState.js';
+import { RingBuffer } from './utils-esm.js';
+
+/**
+ * Number of chat events kept per channel to replay into PIP windows opened later on.
+ */
+export const HISTORY_SIZE = 200;
+
+/**
+ * ms the history of a channel is kept after its last port left, a PIP window reopened
+ * within it starts with the chat it showed before.
+ */
+export const HISTORY_GRACE_PERIOD = 5 * 60 * 1000;
+
+/**
+ * State the worker keeps for every joined channel, shared by all ports watching it.
+ */
+export class ChannelState {
+    /**
+     * The channel name without `#`.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * Ports of PIP windows showing this channel.
+     * @type {Set<chrome.runtime.Port>}
+     */
+    ports = new Set();
+
+    /**
+     * Twitch user id of the channel, known after the first ROOMSTATE.
+     * @type {string}
+     */
+    roomId = null;
+
+    /**
+     * Last USERSTATE received for this channel, our badges and color in it.
+     * @type {IRCMessage}
+     */
+    userState = new IRCMessage();
+
+    /**
+     * Chat restrictions, merged from the full ROOMSTATE on join and partial ones afterwards.
+     * @type {import('./roomState.js').RoomState}
+     */
+    roomState = DEFAULT_ROOM_STATE;
+
+    /**
+     * Third party emotes and chat badges, kept to hand them to ports joining later on.
+     * @type {import('./types.js').EmotesPayload}
+     */
+    emotes = null;
+    /** @type {import('./types.js').BadgesPayload} */
+    badges = null;
+
+    /**
+     * Recent chat events (IRC messages as JSON) since the channel was joined,
+     * carried over when it was left less than `HISTORY_GRACE_PERIOD` ago.
+     * @type {RingBuffer<Object>}
+     */
+    history = new RingBuffer(HISTORY_SIZE);
+
+    /**
+     * @param {string} name
+     */
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Keeps track of which port watches which channel, so one IRC connection can serve all of them.
+ */
+export class ChannelRegistry {
+    /**
+     * @type {Map<chrome.runtime.Port, ChannelState>}
+     */
+    portChannels = new Map();
+
+    /**
+     * @type {Map<string, ChannelState>}
+     */
+    channels = new Map();
+
+    /**
+     * History of channels nobody watches anymore, indexed by channel name.
+     * @type {Map<string, {history: RingBuffer<Object>, expiresAt: number}>}
+     */
+    pastHistories = new Map();
+
+    /**
+     * Tie a port to a channel, the port must not watch another channel yet.
+     *
+     * @param {chrome.runtime.Port} port
+     * @param {string} name - The channel name without `#`.
+     * @returns {{channel: ChannelState, isNew: boolean}} - `isNew` tells if the channel has to be joined.
+     */
+    add(port, name) {
+        console.assert(
+            !this.portChannels.has(port),
+            'port is still tied to another channel, remove it first'
+        );
+
+        const key = name.toLowerCase();
+        const isNew = !this.channels.has(key);
+        if (isNew) {
+            const channel = new ChannelState(key);
+            const past = this.takePastHistory(key);
+            if (past) {
+                channel.history = past;
+            }
+            this.channels.set(key, channel);
+        }
+
+        const channel = this.channels.get(key);
+        channel.ports.add(port);
+        this.portChannels.set(port, channel);
+
+        return { channel, isNew };
+    }
+
+    /**
+     * Untie a port from its channel.
+     *
+     * @param {chrome.runtime.Port} port
+     * @returns {{channel: ChannelState, isEmpty: boolean} | null} - `isEmpty` tells if the channel has to be left.
+     */
+    remove(port) {
+        const channel = this.portChannels.get(port);
+        if (!channel) {
+            return null;
+        }
+
+        this.portChannels.delete(port);
+        channel.ports.delete(port);
+
+        const isEmpty = channel.ports.size === 0;
+        if (isEmpty) {
+            this.channels.delete(channel.name);
+            this.pastHistories.set(channel.name, {
+                history: channel.history,
+                expiresAt: Date.now() + HISTORY_GRACE_PERIOD,
+            });
+        }
+
+        return { channel, isEmpty };
+    }
+
+    /**
+     * Take back the history a channel had before its last port left, dropping expired ones.
+     *
+     * @param {string} name - The channel name without `#`, lower case.
+     * @returns {RingBuffer<Object> | null}
+     */
+    takePastHistory(name) {
+        const now = Date.now();
+        this.pastHistories.forEach(({ expiresAt }, key) => {
+            if (expiresAt <= now) {
+                this.pastHistories.delete(key);
+            }
+        });
+
+        const past = this.pastHistories.get(name);
+        this.pastHistories.delete(name);
+        return past ? past.history : null;
+    }
+
+    /**
+     * @param {chrome.runtime.Port} port
+     * @returns {ChannelState | undefined}
+     */
+    getByPort(port) {
+        return this.portChannels.get(port);
+    }
+
+    /**
+     * @param {string} name - The channel name, with or without `#`.
+     * @returns {ChannelState | undefined}
+     */
+    get(name) {
+        return this.channels.get(name.replace(/^#/, '').toLowerCase());
+    }
+
+    /**
+     * @type {chrome.runtime.Port[]}
+     */
+    get ports() {
+        return [...this.portChannels.keys()];
+    }
+
+    /**
+     * @type {ChannelState[]}
+     */
+    get all() {
+        return [...this.channels.values()];
+    }
+}
@@ -0,0 +1,220 @@
+import { PublishSubscribeTemplate } from './utils-esm.js';
+
+/**
+ * First path segments of twitch pages that are not channels.
+ */
+const RESERVED_PATHS = new Set([
+    'activate',
+    'bits',
+    'broadcast',
+    'checkout',
+    'collections',
+    'communities',
+    'dashboard',
+    'directory',
+    'downloads',
+    'drops',
+    'event',
+    'following',
+    'friends',
+    'inventory',
+    'jobs',
+    'login',
+    'logout',
+    'messages',
+    'moments',
+    'p',
+    'payments',
+    'prime',
+    'products',
+    'redeem',
+    'search',
+    'settings',
+    'signup',
+    'store',
+    'subs',
+    'subscriptions',
+    'team',
+    'turbo',
+    'user',
+    'videos',
+    'wallet',
+]);
+
+/**
+ * First path segments whose channel is the second segment.
+ * e.g. `/popout/foo/chat`, `/moderator/foo`, `/embed/foo/chat`
+ */
+const PREFIXED_PATHS = new Set(['popout', 'moderator', 'embed']);
+
+/**
+ * Twitch login names are 1 to 25 characters of letters, digits and underscores.
+ */
+const LOGIN_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+/**
+ * The part of the Navigation API used here, the dom typings do not include it yet.
+ * @typedef {Pick<EventTarget, 'addEventListener' | 'removeEventListener'>} Navigation
+ */
+
+/**
+ * @returns {Navigation | undefined} - `window.navigation` where the browser supports it.
+ */
+function getNavigation() {
+    return /** @type {{navigation?: Navigation}} */ (
+        /** @type {unknown} */ (window)
+    ).navigation;
+}
+
+/**
+ * @param {string} [segment]
+ * @returns {string | null} - The lowercase login, null if the segment cannot be one.
+ */
+function toLogin(segment) {
+    if (!segment) {
+        return null;
+    }
+    let login;
+    try {
+        login = decodeURIComponent(segment).toLowerCase();
+    } catch (e) {
+        // malformed escapes like `%E0%A4%A` cannot be a login either
+        return null;
+    }
+    return LOGIN_PATTERN.test(login) ? login : null;
+}
+
+/**
+ * Get the channel from a twitch url path.
+ *
+ * @param {string} pathname - e.g. `/foo/clip/bar`.
+ * @returns {string | null} - The lowercase channel login, null for pages without one in the path (e.g. `/videos/123`).
+ *
+ * @example
+ * resolveChannelFromPath('/popout/foo/chat'); // 'foo'
+ * resolveChannelFromPath('/foo/videos'); // 'foo'
+ * resolveChannelFromPath('/videos/123'); // null
+ */
+export function resolveChannelFromPath(pathname) {
+    const [first, second] = pathname.split('/').filter((segment) => segment);
+    if (!first) {
+        return null;
+    }
+
+    const prefix = first.toLowerCase();
+    if (PREFIXED_PATHS.has(prefix)) {
+        return toLogin(second);
+    }
+    if (RESERVED_PATHS.has(prefix)) {
+        return null;
+    }
+    return toLogin(first);
+}
+
+/**
+ * Get the channel from page metadata, for pages like VODs which only carry a video id in their url.
+ *
+ * @param {Document} document
+ * @returns {string | null}
+ */
+export function resolveChannelFromDocument(document) {
+    // the channel header links to the channel home page
+    const channelLink = document.querySelector(
+        '.channel-info-content a[href^="/"]'
+    );
+    if (channelLink) {
+        const login = resolveChannelFromPath(
+            new URL(channelLink.getAttribute('href'), 'https://www.twitch.tv')
+                .pathname
+        );
+        if (login) {
+            return login;
+        }
+    }
+
+    const metaUrls = [
+        document.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+        document
+            .querySelector('meta[property="og:url"]')
+            ?.getAttribute('content'),
+    ];
+    for (const metaUrl of metaUrls) {
+        if (!metaUrl) {
+            continue;
+        }
+        const login = resolveChannelFromPath(
+            new URL(metaUrl, 'https://www.twitch.tv').pathname
+        );
+        if (login) {
+            return login;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the channel of the current page, from the url first and page metadata second.
+ *
+ * @param {Location} location
+ * @param {Document} document
+ * @returns {string | null}
+ */
+export function resolveChannel(location, document) {
+    return (
+        resolveChannelFromPath(location.pathname) ||
+        resolveChannelFromDocument(document)
+    );
+}
+
+/**
+ * Watches twitch client side navigation (including raids taking the viewer to another channel)
+ * and emits `channelchange` with the new channel login.
+ */
+export class ChannelWatcher extends PublishSubscribeTemplate {
+    /**
+     * Metadata of the new page can show up late, so the channel is polled besides listening to navigations.
+     */
+    POLL_INTERVAL = 1000;
+
+    /** @type {string | null} */
+    channel = null;
+
+    /** @type {ReturnType<typeof setInterval>} */
+    pollTimer = null;
+
+    constructor() {
+        super();
+        this.check = this.check.bind(this);
+    }
+
+    /**
+     * @param {string | null} channel - The channel currently shown.
+     */
+    start(channel) {
+        this.stop();
+        this.channel = channel;
+
+        getNavigation()?.addEventListener('navigatesuccess', this.check);
+        window.addEventListener('popstate', this.check);
+        this.pollTimer = setInterval(this.check, this.POLL_INTERVAL);
+    }
+
+    stop() {
+        getNavigation()?.removeEventListener('navigatesuccess', this.check);
+        window.removeEventListener('popstate', this.check);
+        clearInterval(this.pollTimer);
+    }
+
+    check() {
+        const channel = resolveChannel(window.location, document);
+        // pages without a channel (e.g. while a VOD is loading) keep the current one
+        if (!channel || channel === this.channel) {
+            return;
+        }
+
+        const previous = this.channel;
+        this.channel = channel;
+        this.emit('channelchange', { channel, previous });
+    }
+}
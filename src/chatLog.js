@@ -0,0 +1,102 @@
+/** @typedef {import('./ircMessage.js').default} IRCMessage */
+/** @typedef {import('./highlights.js').HighlightMatch} HighlightMatch */
+/** @typedef {import('./filters.js').FilterMatch} FilterMatch */
+
+/**
+ * @typedef { "message" | "usernotice" | "notice" } ChatEntryKind
+ */
+
+/**
+ * A line of the chat, kept independently of whether it is rendered.
+ * @typedef {Object} ChatEntry
+ * @property {ChatEntryKind} kind
+ * @property {string} id - Message id, empty for notices and our own messages.
+ * @property {string} userId - Author of messages and user notices, empty for notices.
+ * @property {IRCMessage | null} ircMessage - Source of messages and user notices.
+ * @property {string} text - Text of notices.
+ * @property {boolean} history - Part of the backlog replayed on open.
+ * @property {boolean} deleted - Removed by a moderator.
+ * @property {HighlightMatch | null} highlight - Why the message is highlighted, if it is.
+ * @property {FilterMatch | null} filtered - Why the message is hidden by the filters, if it is.
+ * @property {HTMLElement | null} element - The rendered node, null while not in the DOM.
+ */
+
+/**
+ * Default number of entries kept, older ones are dropped.
+ */
+export const CHAT_LOG_SIZE = 1000;
+
+/**
+ * Bounded list of chat entries of the current channel, oldest first.
+ */
+export class ChatLog {
+    /** @type {ChatEntry[]} */
+    entries = [];
+
+    /**
+     * @param {number} [limit] - The maximum number of entries kept.
+     */
+    constructor(limit = CHAT_LOG_SIZE) {
+        this.limit = limit;
+    }
+
+    /**
+     * @param {Partial<ChatEntry> & {kind: ChatEntryKind}} fields
+     * @returns {ChatEntry}
+     */
+    static createEntry(fields) {
+        return {
+            id: '',
+            userId: '',
+            ircMessage: null,
+            text: '',
+            history: false,
+            deleted: false,
+            highlight: null,
+            filtered: null,
+            element: null,
+            ...fields,
+        };
+    }
+
+    /**
+     * @param {ChatEntry} entry
+     * @returns {ChatEntry[]} - Entries dropped to stay within the limit.
+     */
+    add(entry) {
+        this.entries.push(entry);
+        return this.entries.splice(
+            0,
+            Math.max(this.entries.length - this.limit, 0)
+        );
+    }
+
+    /**
+     * @param {string} id
+     * @returns {ChatEntry[]}
+     */
+    findById(id) {
+        return id ? this.entries.filter((entry) => entry.id === id) : [];
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {ChatEntry[]}
+     */
+    findByUser(userId) {
+        return userId
+            ? this.entries.filter((entry) => entry.userId === userId)
+            : [];
+    }
+
+    /**
+     * @returns {ChatEntry[]} - Entries currently in the DOM, oldest first.
+     */
+    get rendered() {
+        return this.entries.filter((entry) => entry.element);
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
@@ -2,6 +2,15 @@ import { PublishSubscribeTemplate } from './utils-esm.js';
 import IRCMessage from './ircMessage.js';
 import { PIPWindowManager } from './pipWindow.js';
 import Logger from './logger.js';
+import { ChannelWatcher, resolveChannel } from './channelResolver.js';
+import { loadSettings, saveSettings, watchSettings } from './settings.js';
+import { MessageFilter } from './filters.js';
+import {
+    PendingRequests,
+    ProtocolError,
+    createMessage,
+    validateMessage,
+} from './protocol.js';
 
 /** @typedef {import('./types.js').CommandType} CommandType */
 /** @typedef {import('./types.js').Message} Message */
@@ -23,13 +32,75 @@ class ContentInterface extends PublishSubscribeTemplate {
      */
     pipWindowManager = null;
 
+    /**
+     * the twitch user the worker is logged in as.
+     * @type {import('./types.js').Identity}
+     */
+    identity = null;
+
+    /**
+     * follows twitch client side navigation while the PIP window is open.
+     */
+    channelWatcher = new ChannelWatcher();
+
+    /**
+     * ignore lists and filter rules, applied to chat messages before they reach the PIP window.
+     */
+    messageFilter = new MessageFilter();
+
+    /**
+     * chat events of TBAT messages waiting for the next frame of the PIP window.
+     * @type {Object[]}
+     */
+    pendingMessages = [];
+    /**
+     * messages the worker skipped under backpressure since the last frame.
+     */
+    droppedCount = 0;
+    isRenderScheduled = false;
+
+    /**
+     * requests sent to the worker waiting for their response.
+     */
+    requests = new PendingRequests();
+
     constructor() {
         super();
+        this.channelWatcher.subscribe(
+            'channelchange',
+            this.onChannelChange.bind(this)
+        );
         this.pipWindowManager = new PIPWindowManager();
         this.pipWindowManager.subscribe(
             'enterpictureinpicture',
             this.onEnterPIP.bind(this)
         );
+        this.pipWindowManager.subscribe(
+            'sendmessage',
+            this.onSendMessage.bind(this)
+        );
+        this.pipWindowManager.subscribe('login', this.onLogin.bind(this));
+        this.pipWindowManager.subscribe(
+            'settingschange',
+            this.onSettingsChange.bind(this)
+        );
+        this.pipWindowManager.subscribe(
+            'highlight',
+            this.onHighlight.bind(this)
+        );
+        this.pipWindowManager.subscribe('moderate', this.onModerate.bind(this));
+
+        // loaded ahead of time, the PIP window is sized from them when it opens
+        loadSettings().then(this.applySettings.bind(this));
+        watchSettings(this.applySettings.bind(this));
+    }
+
+    /**
+     * @param {import('./settings.js').Settings} settings
+     */
+    applySettings(settings) {
+        this.messageFilter.setRules(settings.filters);
+        this.pipWindowManager.applySettings(settings);
     }
 
     onEnterPIP() {
@@ -37,7 +108,17 @@ class ContentInterface extends PublishSubscribeTemplate {
             this.logger.info(
                 `Closing PIP Window, closing connection with worker and twitch`
             );
-            this.postChromeMessage('TFIN');
+            this.channelWatcher.stop();
+            this.isTwitchConnected = false;
+            this.pendingMessages = [];
+            this.droppedCount = 0;
+            this.request('TFIN')
+                .catch((error) =>
+                    this.logger.warn(
+                        `Worker did not confirm TFIN: ${error.message}`
+                    )
+                )
+                .finally(() => this.closePort());
 
             // make sure to return original video element back to it's place.
             this.pipWindowManager.originalParent.prepend(
@@ -45,37 +126,194 @@ class ContentInterface extends PublishSubscribeTemplate {
             );
         });
 
+        // a reopened window starts empty, the worker replays the backlog into it
+        this.pendingMessages = [];
+        this.droppedCount = 0;
+        this.isRenderScheduled = false;
+        this.pipWindowManager.resetChannel();
+
         this.logger.info(`Entering picture in picture mode`);
         this.connect();
     }
 
-    connect() {
+    /**
+     * store settings changed from the PIP window, e.g. the layout picked with a shortcut
+     * @param {Object} changes [partial settings]
+     */
+    onSettingsChange(changes) {
+        saveSettings(changes).catch((error) => {
+            this.logger.error(`Failed to save settings: ${error.message}`);
+            this.pipWindowManager.addNotice(
+                `Settings not saved: ${error.message}`
+            );
+        });
+    }
+
+    /**
+     * forward text typed in the PIP window to the worker
+     * @param {import('./types.js').ChatMessagePayload} message [description]
+     */
+    onSendMessage(message) {
+        if (
+            !this.isChromeConnected ||
+            !this.isTwitchConnected ||
+            this.identity.anonymous
+        ) {
+            this.logger.warn('Cannot send a message, twitch is not connected');
+            this.pipWindowManager.addNotice(
+                'Not connected to chat, your message was not sent'
+            );
+            return;
+        }
+
+        if (this.postChromeMessage('CMSG', message)) {
+            this.pipWindowManager.confirmMessageSent();
+        }
+    }
+
+    /**
+     * ask the worker to upgrade the anonymous session to a logged in one
+     */
+    onLogin() {
+        if (!this.isChromeConnected) {
+            return;
+        }
+
+        this.logger.info('Requesting twitch login');
+        this.postChromeMessage('CLGN');
+    }
+
+    /**
+     * only the worker can show system notifications
+     * @param {import('./types.js').NotificationPayload} notification [description]
+     */
+    onHighlight(notification) {
+        if (!this.isChromeConnected) {
+            return;
+        }
+
+        this.postChromeMessage('CNTF', notification);
+    }
+
+    /**
+     * moderator actions go through Helix, which only the worker talks to
+     * @param {import('./types.js').ModerationPayload} action [description]
+     */
+    onModerate(action) {
+        if (!this.isChromeConnected) {
+            this.pipWindowManager.showModerationResult({
+                ...action,
+                error: 'Not connected to the extension',
+            });
+            return;
+        }
+
+        this.request('CMOD', action).then(
+            (response) =>
+                this.pipWindowManager.showModerationResult(response.payload),
+            (error) =>
+                this.pipWindowManager.showModerationResult({
+                    ...action,
+                    error: error.message,
+                })
+        );
+    }
+
+    /**
+     * the page navigated to another channel (or a raid took us there), switch chat without closing PIP
+     * @param {{channel: string, previous: string}} change [description]
+     */
+    onChannelChange({ channel, previous }) {
+        if (!this.isChromeConnected) {
+            return;
+        }
+
+        this.logger.info(`Switching channel from ${previous} to ${channel}`);
+        this.pendingMessages = [];
+        this.droppedCount = 0;
+        this.pipWindowManager.resetChannel();
+        this.postChromeMessage('CCHN', { channel });
+    }
+
+    async connect() {
+        // Initial message that indicates that we've entered a picture in picture mode.
+        const channelName = resolveChannel(window.location, document);
+        if (!channelName) {
+            this.logger.error(
+                `Could not find a twitch channel on ${window.location.pathname}`
+            );
+            this.pipWindowManager.setConnectionState('failed');
+            return;
+        }
+
         this.logger.info('Connecting to worker');
 
         this.chromePort = chrome.runtime.connect({ name: 'content-client' });
 
         this.chromePort.onMessage.addListener(this.onMessage.bind(this));
         this.chromePort.onDisconnect.addListener(this.onDisconnect.bind(this));
+        this.channelWatcher.start(channelName);
 
-        // Initial message that indicates that we've entered a picture in picture mode.
-        let channelName = window.location.pathname.replace(/^\/|\/$/g, '');
         this.logger.info(
             `Sending Chrome SYN to connect twitch channel ${channelName}`
         );
 
-        this.postChromeMessage('CSYN', { channel: channelName });
+        // read only sessions skip the twitch login entirely
+        const { anonymous } = await loadSettings();
+
+        this.request('CSYN', {
+            channel: channelName,
+            anonymous,
+        }).then(this.handleCACK.bind(this), (error) => {
+            this.logger.error(`Worker refused CSYN: ${error.message}`);
+            this.handleProtocolError(error);
+            this.pipWindowManager.setConnectionState('failed');
+        });
     }
 
     /**
      * post a message
      * @param {CommandType} command [description]
      * @param {Object} payload [description]
+     * @returns {boolean} [false when the payload was invalid and nothing was posted]
      */
     postChromeMessage(command, payload = {}) {
-        this.chromePort.postMessage({
-            command: command,
-            payload: payload,
-        });
+        let message;
+        try {
+            message = createMessage('content', command, payload);
+        } catch (e) {
+            this.logger.error(`Not sending ${command}: ${e.message}`);
+            return false;
+        }
+
+        this.chromePort.postMessage(message);
+        return true;
+    }
+
+    /**
+     * post a message the worker answers, see `RESPONSES` of the protocol
+     * @param {CommandType} command [description]
+     * @param {Object} [payload] [description]
+     * @returns {Promise<Message>} [the response, rejects on TERR or timeout]
+     */
+    request(command, payload = {}) {
+        const { id, response } = this.requests.add(command);
+        try {
+            this.chromePort.postMessage(
+                createMessage('content', command, payload, { id })
+            );
+        } catch (e) {
+            this.requests.cancel(id, e);
+        }
+        return response;
+    }
+
+    /**
+     * close our end of the port, `disconnect` only fires onDisconnect on the worker side
+     */
+    closePort() {
+        this.chromePort.disconnect();
+        this.onDisconnect(null);
     }
 
     /**
@@ -84,6 +322,12 @@ class ContentInterface extends PublishSubscribeTemplate {
      */
     onDisconnect(e) {
         this.isChromeConnected = false;
+        this.isTwitchConnected = false;
+        // without the worker there is no way to twitch anymore
+        this.pipWindowManager.setConnectionState('closed');
+        this.requests.rejectAll(
+            new ProtocolError('disconnected', 'Chrome port disconnected')
+        );
 
         if (chrome.runtime.lastError) {
             this.logger.error(
@@ -99,22 +343,47 @@ class ContentInterface extends PublishSubscribeTemplate {
      * @param {Message} message [received message from worker]
      */
     onMessage(message) {
+        try {
+            validateMessage(message, 'worker');
+        } catch (e) {
+            this.handleProtocolError(e);
+            return;
+        }
+
         this.logger.log(`Received command: ${message.command}`);
 
+        // responses settle their request instead of being handled on their own
+        if (message.replyTo !== undefined) {
+            if (!this.requests.settle(message)) {
+                this.logger.warn(
+                    `Ignoring late ${message.command} response to request ${message.replyTo}`
+                );
+            }
+            return;
+        }
+
         this.emit(message.command, message);
         switch (message.command) {
-            case 'CACK':
-                return this.handleCACK(message);
-            case 'CFIN':
-                return this.handleCFIN(message);
-            case 'TIRC':
-                return this.handleTIRC(message);
             case 'TCON':
                 return this.handleTCON(message);
             case 'TFIN':
                 return this.handleTFIN(message);
+            case 'TEMO':
+                return this.handleTEMO(message);
+            case 'TBDG':
+                return this.handleTBDG(message);
+            case 'TAUT':
+                return this.handleTAUT(message);
+            case 'TSTA':
+                return this.handleTSTA(message);
+            case 'TRST':
+                return this.handleTRST(message);
+            case 'TBLG':
+                return this.handleTBLG(message);
+            case 'TBAT':
+                return this.handleTBAT(message);
             case 'TERR':
-                break;
+                return this.handleTERR(message);
             default: {
                 this.logger.error(`Unknown command: ${message.command}`);
                 break;
@@ -128,7 +397,13 @@ class ContentInterface extends PublishSubscribeTemplate {
      */
     handleTCON(message) {
         this.isTwitchConnected = true;
-        this.logger.info('Twitch connected!');
+        this.identity = message.payload.identity;
+        this.logger.info(`Twitch connected as ${this.identity.login}!`);
+        this.pipWindowManager.setIdentity(this.identity);
+        this.messageFilter.setLogin(
+            this.identity.anonymous ? null : this.identity.login
+        );
+        this.pipWindowManager.setLoginRequired(this.identity.anonymous);
     }
 
     /**
@@ -139,45 +414,219 @@ class ContentInterface extends PublishSubscribeTemplate {
         this.isTwitchConnected = false;
         this.logger.info('Twitch disconnected');
 
-        // addtionally close chrome port
-        this.postChromeMessage('CFIN');
+        // twitch is gone for good, release the port
+        this.request('CFIN')
+            .catch((error) =>
+                this.logger.warn(
+                    `Worker did not confirm CFIN: ${error.message}`
+                )
+            )
+            .finally(() => this.closePort());
     }
 
     /**
-     * handle IRC message
+     * twitch notices are shown in chat, anything else is a message the worker rejected
      * @param {Message} message [description]
      */
-    handleTIRC(message) {
-        console.assert(
-            this.isTwitchConnected === true,
-            'received a IRC message but isTwitchConnected is set to false'
+    handleTERR(message) {
+        /** @type {import('./types.js').ErrorPayload} */
+        const payload = message.payload;
+        if (payload.code === 'notice') {
+            this.pipWindowManager.addNotice(payload.message);
+            return;
+        }
+
+        this.handleProtocolError(
+            new ProtocolError(payload.code, payload.message)
         );
+    }
+
+    /**
+     * worker and content script disagree about a message, e.g. after an update of the extension
+     * @param {ProtocolError} error [description]
+     */
+    handleProtocolError(error) {
+        this.logger.error(`Protocol error (${error.code}): ${error.message}`);
+        this.pipWindowManager.addNotice(
+            error.code === 'version'
+                ? 'The extension was updated, reload the page to keep chatting'
+                : `Extension error: ${error.message}`
+        );
+    }
 
-        const ircMessage = IRCMessage.fromJSON(message.payload);
+    /**
+     * handle chat backlog, rendered as history before live chat events
+     * @param {Message} message [description]
+     */
+    handleTBLG(message) {
+        /** @type {import('./types.js').HistoryPayload} */
+        const payload = message.payload;
 
-        this.logger.info('Adding a new message to PIP Window');
-        this.pipWindowManager.addMessage(ircMessage);
+        this.pipWindowManager.batchUpdate(() => {
+            this.pipWindowManager.beginHistory();
+            payload.messages
+                .filter((json) => this.isCurrentChannel(json))
+                .map((json) => IRCMessage.fromJSON(json))
+                // the window may still show these, e.g. after the worker restarted
+                .filter(
+                    (ircMessage) =>
+                        !ircMessage.tags['id'] ||
+                        !this.pipWindowManager.hasMessage(ircMessage.tags['id'])
+                )
+                .forEach((ircMessage) => this.handleIRCMessage(ircMessage));
+            this.pipWindowManager.endHistory();
+        });
     }
 
     /**
-     * handle CACK message response
+     * handle a batch of chat events, rendered together in the next frame
      * @param {Message} message [description]
      */
-    handleCACK(message) {
-        this.isChromeConnected = true;
-        this.logger.info('Chrome port connected!');
-        this.logger.log('Worker is establishing twitch connection now');
+    handleTBAT(message) {
+        /** @type {import('./types.js').BatchPayload} */
+        const payload = message.payload;
+
+        // batches posted before the worker switched channel are still on their way
+        const messages = payload.messages.filter((json) =>
+            this.isCurrentChannel(json)
+        );
+        // messages dropped by the worker are still reported, their channel is unknown
+        this.droppedCount += payload.dropped;
+        if (messages.length === 0 && payload.dropped === 0) {
+            return;
+        }
+
+        this.pendingMessages.push(...messages);
+
+        if (this.isRenderScheduled) {
+            return;
+        }
+        this.isRenderScheduled = true;
+        this.pipWindowManager.requestFrame(() => this.renderPendingMessages());
+    }
+
+    /**
+     * whether a chat event belongs to the channel shown, events of the previous one arrive late after a switch
+     * @param {{params: string[]}} json [an IRC message as JSON]
+     * @returns {boolean}
+     */
+    isCurrentChannel(json) {
+        const channel = json.params[0];
+        return (
+            !channel?.startsWith('#') ||
+            !this.channelWatcher.channel ||
+            channel.slice(1).toLowerCase() === this.channelWatcher.channel
+        );
+    }
+
+    renderPendingMessages() {
+        const messages = this.pendingMessages;
+        const dropped = this.droppedCount;
+        this.pendingMessages = [];
+        this.droppedCount = 0;
+        this.isRenderScheduled = false;
+
+        this.pipWindowManager.batchUpdate(() => {
+            messages.forEach((json) =>
+                this.handleIRCMessage(IRCMessage.fromJSON(json))
+            );
+            if (dropped > 0) {
+                this.pipWindowManager.addNotice(
+                    `${dropped} messages skipped to keep up with chat`
+                );
+            }
+        });
     }
 
     /**
-     * handle CFIN message response
+     * show a chat event forwarded by the worker in the PIP window
+     * @param {IRCMessage} ircMessage [description]
+     */
+    handleIRCMessage(ircMessage) {
+        switch (ircMessage.command) {
+            case 'PRIVMSG':
+                return this.pipWindowManager.addMessage(
+                    ircMessage,
+                    this.messageFilter.check(ircMessage)
+                );
+            case 'USERNOTICE':
+                return this.pipWindowManager.addUserNotice(ircMessage);
+            case 'USERSTATE':
+                return this.pipWindowManager.setUserBadges(ircMessage.badges);
+            case 'CLEARMSG':
+                return this.pipWindowManager.deleteMessage(
+                    ircMessage.tags['target-msg-id']
+                );
+            case 'CLEARCHAT':
+                // a timeout / ban names the user, a full clear does not
+                if (ircMessage.params[1]) {
+                    return this.pipWindowManager.deleteUserMessages(
+                        ircMessage.tags['target-user-id']
+                    );
+                }
+                return this.pipWindowManager.clearChat();
+        }
+    }
+
+    /**
+     * handle third party emotes loaded by the worker
      * @param {Message} message [description]
      */
-    handleCFIN(message) {
-        this.chromePort.disconnect();
-        // this should have been called by disconnect() method on chromePort,
-        // but it doesn't get called therefore I'll do this.
-        this.onDisconnect(null);
+    handleTEMO(message) {
+        this.logger.log(
+            `Received ${message.payload.emotes.length} third party emotes`
+        );
+        this.pipWindowManager.setThirdPartyEmotes(message.payload.emotes);
+    }
+
+    /**
+     * handle chat badges loaded by the worker
+     * @param {Message} message [description]
+     */
+    handleTBDG(message) {
+        this.pipWindowManager.setBadges(message.payload.badges);
+    }
+
+    /**
+     * handle failed authentication, chat stays read only until the user logs in again
+     * @param {Message} message [description]
+     */
+    handleTAUT(message) {
+        this.logger.warn(`Twitch login required: ${message.payload.reason}`);
+        this.pipWindowManager.setLoginRequired(true);
+        this.pipWindowManager.addNotice(
+            `${message.payload.reason}, chat is read only until you log in`
+        );
+    }
+
+    /**
+     * handle connection state changes between worker and twitch
+     * @param {Message} message [description]
+     */
+    handleTSTA(message) {
+        /** @type {import('./types.js').ConnectionStatePayload} */
+        const { state, retryIn } = message.payload;
+
+        this.logger.log(`Connection state: ${state}`);
+        this.pipWindowManager.setConnectionState(state, retryIn);
+    }
+
+    /**
+     * handle chat restrictions of the channel
+     * @param {Message} message [description]
+     */
+    handleTRST(message) {
+        this.pipWindowManager.setRoomState(message.payload.roomState);
+    }
+
+    /**
+     * handle CACK message response
+     * @param {Message} message [description]
+     */
+    handleCACK(message) {
+        this.isChromeConnected = true;
+        this.logger.info('Chrome port connected!');
+        this.logger.log('Worker is establishing twitch connection now');
     }
 }
 
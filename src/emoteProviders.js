@@ -0,0 +1,350 @@
+import Logger from './logger.js';
+
+/**
+ * An emote provided by a third party service, matched against whole words of a message.
+ * @typedef {Object} ThirdPartyEmote
+ * @property {string} id
+ * @property {string} name - The word that gets replaced by the emote.
+ * @property {string} provider - Name of the provider the emote came from.
+ * @property {{1: string, 2: string, 3: string}} urls - Image url for each emote scale.
+ */
+
+/**
+ * The channel to load emotes for.
+ * @typedef {Object} EmoteChannel
+ * @property {string} login - The channel name.
+ * @property {string} id - The twitch user id of the channel (`room-id` tag).
+ */
+
+/**
+ * Base urls used to reach each provider's api, keyed by provider name.
+ * They can be overridden through the `emoteProviders` settings to test against a local fixture server.
+ */
+export const DEFAULT_PROVIDER_URLS = {
+    bttv: 'https://api.betterttv.net/3',
+    ffz: 'https://api.frankerfacez.com/v1',
+    '7tv': 'https://7tv.io/v3',
+};
+
+/**
+ * Base class of an emote provider, subclasses describe how to fetch and normalize a service's emote sets.
+ */
+export class EmoteProvider {
+    /**
+     * Unique name of the provider, also used as key in `DEFAULT_PROVIDER_URLS`.
+     * @type {string}
+     */
+    name = '';
+
+    /**
+     * @param {string} baseUrl - The api base url without trailing slash.
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * @returns {Promise<ThirdPartyEmote[]>}
+     */
+    async fetchGlobal() {
+        return [];
+    }
+
+    /**
+     * @param {EmoteChannel} channel
+     * @returns {Promise<ThirdPartyEmote[]>}
+     */
+    async fetchChannel(channel) {
+        return [];
+    }
+
+    /**
+     * Fetch json from the provider api, resolves with null when the resource does not exist
+     * (providers answer 404 for channels that never set up any emotes).
+     *
+     * @param {string} path
+     * @returns {Promise<any>}
+     */
+    async fetchJSON(path) {
+        const response = await fetch(`${this.baseUrl}${path}`);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(
+                `${this.name} request ${path} failed with status ${response.status}`
+            );
+        }
+        return response.json();
+    }
+}
+
+export class BTTVProvider extends EmoteProvider {
+    name = 'bttv';
+
+    async fetchGlobal() {
+        const emotes = await this.fetchJSON('/cached/emotes/global');
+        return (emotes || []).map(this.normalize.bind(this));
+    }
+
+    /**
+     * @param {EmoteChannel} channel
+     */
+    async fetchChannel(channel) {
+        const user = await this.fetchJSON(`/cached/users/twitch/${channel.id}`);
+        if (!user) {
+            return [];
+        }
+        return [
+            ...(user.channelEmotes || []),
+            ...(user.sharedEmotes || []),
+        ].map(this.normalize.bind(this));
+    }
+
+    /**
+     * @param {{id: string, code: string}} emote
+     * @returns {ThirdPartyEmote}
+     */
+    normalize(emote) {
+        const url = (scale) =>
+            `https://cdn.betterttv.net/emote/${emote.id}/${scale}x`;
+        return {
+            id: emote.id,
+            name: emote.code,
+            provider: this.name,
+            urls: { 1: url(1), 2: url(2), 3: url(3) },
+        };
+    }
+}
+
+export class FFZProvider extends EmoteProvider {
+    name = 'ffz';
+
+    async fetchGlobal() {
+        const response = await this.fetchJSON('/set/global');
+        if (!response) {
+            return [];
+        }
+        return this.normalizeSets(
+            response.sets,
+            response.default_sets.map(String)
+        );
+    }
+
+    /**
+     * @param {EmoteChannel} channel
+     */
+    async fetchChannel(channel) {
+        const response = await this.fetchJSON(`/room/id/${channel.id}`);
+        if (!response) {
+            return [];
+        }
+        return this.normalizeSets(response.sets, [String(response.room.set)]);
+    }
+
+    /**
+     * @param {Object.<string, {emoticons: Array<{id: number, name: string, urls: Object.<string, string>}>}>} sets
+     * @param {string[]} setIds - The sets to take emotes from.
+     * @returns {ThirdPartyEmote[]}
+     */
+    normalizeSets(sets, setIds) {
+        const absolute = (url) => (url.startsWith('//') ? `https:${url}` : url);
+
+        return setIds
+            .filter((setId) => sets[setId])
+            .flatMap((setId) => sets[setId].emoticons)
+            .map((emote) => ({
+                id: String(emote.id),
+                name: emote.name,
+                provider: this.name,
+                // ffz serves 1x, 2x and 4x, with the bigger ones being optional
+                urls: {
+                    1: absolute(emote.urls['1']),
+                    2: absolute(emote.urls['2'] || emote.urls['1']),
+                    3: absolute(
+                        emote.urls['4'] || emote.urls['2'] || emote.urls['1']
+                    ),
+                },
+            }));
+    }
+}
+
+export class SevenTVProvider extends EmoteProvider {
+    name = '7tv';
+
+    async fetchGlobal() {
+        const set = await this.fetchJSON('/emote-sets/global');
+        return ((set && set.emotes) || []).map(this.normalize.bind(this));
+    }
+
+    /**
+     * @param {EmoteChannel} channel
+     */
+    async fetchChannel(channel) {
+        const user = await this.fetchJSON(`/users/twitch/${channel.id}`);
+        if (!user || !user.emote_set) {
+            return [];
+        }
+        return (user.emote_set.emotes || []).map(this.normalize.bind(this));
+    }
+
+    /**
+     * @param {{id: string, name: string, data: {host: {url: string}}}} emote
+     * @returns {ThirdPartyEmote}
+     */
+    normalize(emote) {
+        const host = emote.data.host.url;
+        const base = host.startsWith('//') ? `https:${host}` : host;
+        const url = (scale) => `${base}/${scale}x.webp`;
+        return {
+            id: emote.id,
+            name: emote.name,
+            provider: this.name,
+            urls: { 1: url(1), 2: url(2), 3: url(3) },
+        };
+    }
+}
+
+/**
+ * Loads emote sets of all registered providers and caches them in `chrome.storage.local`.
+ */
+export class EmoteProviderManager {
+    /**
+     * How long fetched emote sets are kept before asking providers again.
+     */
+    CACHE_TTL = 60 * 60 * 1000;
+
+    /**
+     * How long expired emote sets are kept in case their provider fails, channels
+     * not visited for longer are removed from the cache.
+     */
+    CACHE_STALE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+    /**
+     * Settled once old cache entries have been removed, done once per manager.
+     * @type {Promise<void>}
+     */
+    cachePruned = null;
+
+    /** @type {EmoteProvider[]} */
+    providers = [];
+
+    logger = new Logger();
+
+    /**
+     * @param {Object.<string, string>} [urls] - Base url overrides keyed by provider name.
+     */
+    constructor(urls = {}) {
+        const baseUrls = { ...DEFAULT_PROVIDER_URLS, ...urls };
+
+        this.registerProvider(new BTTVProvider(baseUrls.bttv));
+        this.registerProvider(new FFZProvider(baseUrls.ffz));
+        this.registerProvider(new SevenTVProvider(baseUrls['7tv']));
+    }
+
+    /**
+     * @param {EmoteProvider} provider
+     */
+    registerProvider(provider) {
+        this.providers.push(provider);
+    }
+
+    /**
+     * @returns {Promise<ThirdPartyEmote[]>}
+     */
+    loadGlobal() {
+        return this.load('global', (provider) => provider.fetchGlobal());
+    }
+
+    /**
+     * @param {EmoteChannel} channel
+     * @returns {Promise<ThirdPartyEmote[]>}
+     */
+    loadChannel(channel) {
+        return this.load(`channel:${channel.id}`, (provider) =>
+            provider.fetchChannel(channel)
+        );
+    }
+
+    /**
+     * Collect emotes from every provider, a failing provider only loses its own emotes.
+     *
+     * @param {string} scope - Cache key of the emote set.
+     * @param {(provider: EmoteProvider) => Promise<ThirdPartyEmote[]>} fetcher
+     * @returns {Promise<ThirdPartyEmote[]>}
+     */
+    async load(scope, fetcher) {
+        if (!this.cachePruned) {
+            this.cachePruned = this.pruneCache();
+        }
+        await this.cachePruned;
+
+        const results = await Promise.all(
+            this.providers.map(async (provider) => {
+                const key = `emoteCache:${provider.name}:${scope}`;
+                const cached = (await chrome.storage.local.get(key))[key];
+                if (
+                    cached &&
+                    cached.baseUrl === provider.baseUrl &&
+                    cached.expiresAt > Date.now()
+                ) {
+                    return cached.emotes;
+                }
+
+                let emotes;
+                try {
+                    emotes = await fetcher(provider);
+                } catch (e) {
+                    this.logger.warn(
+                        `Failed to load ${scope} emotes from ${provider.name}: ${e.message}`
+                    );
+                    // an outdated set is better than no emotes at all
+                    return cached ? cached.emotes : [];
+                }
+
+                // a full storage must not cost the emotes that were just fetched
+                try {
+                    await chrome.storage.local.set({
+                        [key]: {
+                            baseUrl: provider.baseUrl,
+                            expiresAt: Date.now() + this.CACHE_TTL,
+                            emotes,
+                        },
+                    });
+                } catch (e) {
+                    this.logger.warn(
+                        `Failed to cache ${scope} emotes of ${provider.name}: ${e.message}`
+                    );
+                }
+                return emotes;
+            })
+        );
+
+        return results.flat();
+    }
+
+    /**
+     * Remove cached emote sets expired for longer than `CACHE_STALE_TTL`.
+     *
+     * @returns {Promise<void>}
+     */
+    async pruneCache() {
+        try {
+            const items = await chrome.storage.local.get(null);
+            const now = Date.now();
+            const staleKeys = Object.entries(items)
+                .filter(
+                    ([key, entry]) =>
+                        key.startsWith('emoteCache:') &&
+                        !(entry?.expiresAt + this.CACHE_STALE_TTL > now)
+                )
+                .map(([key]) => key);
+
+            if (staleKeys.length) {
+                await chrome.storage.local.remove(staleKeys);
+            }
+        } catch (e) {
+            this.logger.warn(`Failed to prune the emote cache: ${e.message}`);
+        }
+    }
+}
@@ -0,0 +1,112 @@
+/** @typedef {import('./ircMessage.js').EmotePosition} EmotePosition */
+/** @typedef {import('./emoteProviders.js').ThirdPartyEmote} ThirdPartyEmote */
+
+/**
+ * Third party emotes additionally carry their provider and image urls.
+ * @typedef {{type: 'text', text: string}} TextFragment
+ * @typedef {{type: 'emote', id: string, name: string, provider?: string, urls?: ThirdPartyEmote['urls']}} EmoteFragment
+ * @typedef {TextFragment | EmoteFragment} MessageFragment
+ */
+
+/**
+ * Image resolutions served by the twitch emote CDN.
+ * @typedef {1 | 2 | 3} EmoteScale
+ */
+
+/**
+ * Build the CDN url of a native twitch emote.
+ *
+ * @param {string} id - The twitch emote id.
+ * @param {EmoteScale} [scale=1]
+ * @returns {string}
+ */
+export function getEmoteUrl(id, scale = 1) {
+    return `https://static-cdn.jtvnw.net/emoticons/v2/${id}/default/dark/${scale}.0`;
+}
+
+/**
+ * Split a message text into text and emote fragments.
+ *
+ * @param {string} text - The message text.
+ * @param {EmotePosition[]} emotes - Emote positions sorted by `start`.
+ * @returns {MessageFragment[]}
+ *
+ * @example
+ * tokenizeMessage('hi Kappa', [{ id: '25', name: 'Kappa', start: 3, end: 8 }]);
+ * // [{ type: 'text', text: 'hi ' }, { type: 'emote', id: '25', name: 'Kappa' }]
+ */
+export function tokenizeMessage(text, emotes) {
+    /** @type {MessageFragment[]} */
+    const fragments = [];
+    let offset = 0;
+
+    emotes.forEach((emote) => {
+        // overlapping ranges would duplicate text, skip them
+        if (emote.start < offset) {
+            return;
+        }
+
+        if (emote.start > offset) {
+            fragments.push({
+                type: 'text',
+                text: text.slice(offset, emote.start),
+            });
+        }
+        fragments.push({ type: 'emote', id: emote.id, name: emote.name });
+        offset = emote.end;
+    });
+
+    if (offset < text.length) {
+        fragments.push({ type: 'text', text: text.slice(offset) });
+    }
+
+    return fragments;
+}
+
+/**
+ * Replace whole words of text fragments with matching third party emotes.
+ *
+ * @param {MessageFragment[]} fragments
+ * @param {Map<string, ThirdPartyEmote>} emotes - Emotes keyed by name.
+ * @returns {MessageFragment[]}
+ */
+export function replaceThirdPartyEmotes(fragments, emotes) {
+    if (emotes.size === 0) {
+        return fragments;
+    }
+
+    return fragments.flatMap((fragment) => {
+        if (fragment.type !== 'text') {
+            return [fragment];
+        }
+
+        /** @type {MessageFragment[]} */
+        const result = [];
+        let text = '';
+        // odd indices hold the whitespace the text was split on
+        fragment.text.split(/(\s+)/).forEach((word, i) => {
+            const emote = i % 2 === 0 && emotes.get(word);
+            if (!emote) {
+                text += word;
+                return;
+            }
+
+            if (text) {
+                result.push({ type: 'text', text });
+                text = '';
+            }
+            result.push({
+                type: 'emote',
+                id: emote.id,
+                name: emote.name,
+                provider: emote.provider,
+                urls: emote.urls,
+            });
+        });
+        if (text) {
+            result.push({ type: 'text', text });
+        }
+
+        return result;
+    });
+}
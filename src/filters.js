@@ -0,0 +1,124 @@
+import { compileKeyword } from './highlights.js';
+/** @typedef {import('./ircMessage.js').default} IRCMessage */
+
+/**
+ * How messages of users chatting for the first time in the channel (`first-msg` tag) are treated.
+ * @typedef { "show" | "mark" | "hide" } FirstMessagePolicy
+ */
+
+/**
+ * @typedef {Object} FilterSettings
+ * @property {string[]} ignoredUsers - Logins whose messages are hidden.
+ * @property {boolean} ignoreBots - Hide the well known chat bots of `BOT_PRESET`.
+ * @property {string[]} blockedTerms - Words or phrases, `/pattern/flags` for a regular expression.
+ * @property {boolean} hideCommands - Hide messages starting with `!`, which are meant for bots.
+ * @property {FirstMessagePolicy} firstMessages
+ */
+
+/**
+ * Why a message is filtered.
+ * @typedef {Object} FilterMatch
+ * @property {"user" | "bot" | "term" | "command" | "first-message"} reason
+ * @property {string} term - The user, term or command that matched.
+ */
+
+/**
+ * Logins of common chat bots.
+ */
+export const BOT_PRESET = [
+    'nightbot',
+    'streamelements',
+    'streamlabs',
+    'moobot',
+    'fossabot',
+    'wizebot',
+    'soundalerts',
+    'sery_bot',
+    'botrix',
+    'kofistreambot',
+    'pokemoncommunitygame',
+];
+
+/**
+ * Decides which chat messages are kept out of sight.
+ */
+export class MessageFilter {
+    /** @type {Set<string>} */
+    ignoredUsers = new Set();
+
+    ignoreBots = false;
+
+    /** @type {{term: string, pattern: RegExp}[]} */
+    blockedTerms = [];
+
+    hideCommands = false;
+
+    /** @type {FirstMessagePolicy} */
+    firstMessages = 'show';
+
+    /**
+     * The logged in user, whose messages are never filtered.
+     * @type {string | null}
+     */
+    login = null;
+
+    /**
+     * @param {FilterSettings} settings
+     */
+    setRules(settings) {
+        this.ignoredUsers = new Set(
+            settings.ignoredUsers.map((user) =>
+                user.replace(/^@/, '').toLowerCase()
+            )
+        );
+        this.ignoreBots = settings.ignoreBots;
+        this.blockedTerms = settings.blockedTerms
+            .map((term) => ({ term, pattern: compileKeyword(term) }))
+            .filter(({ pattern }) => pattern !== null);
+        this.hideCommands = settings.hideCommands;
+        this.firstMessages = settings.firstMessages;
+    }
+
+    /**
+     * @param {string | null} login
+     */
+    setLogin(login) {
+        this.login = login ? login.toLowerCase() : null;
+    }
+
+    /**
+     * @param {IRCMessage} ircMessage - A PRIVMSG.
+     * @returns {FilterMatch | null}
+     */
+    check(ircMessage) {
+        const sender = (ircMessage.prefix.nickname || '').toLowerCase();
+        if (sender === this.login) {
+            return null;
+        }
+
+        if (this.ignoredUsers.has(sender)) {
+            return { reason: 'user', term: sender };
+        }
+        if (this.ignoreBots && BOT_PRESET.includes(sender)) {
+            return { reason: 'bot', term: sender };
+        }
+
+        const text = ircMessage.params[1] || '';
+        if (this.hideCommands && text.startsWith('!')) {
+            return { reason: 'command', term: text.split(' ')[0] };
+        }
+
+        const blocked = this.blockedTerms.find(({ pattern }) =>
+            pattern.test(text)
+        );
+        if (blocked) {
+            return { reason: 'term', term: blocked.term };
+        }
+
+        if (this.firstMessages === 'hide' && ircMessage.isFirstMessage) {
+            return { reason: 'first-message', term: sender };
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Base url of the Twitch Helix api.
+ */
+export const DEFAULT_HELIX_URL = 'https://api.twitch.tv/helix';
+
+/**
+ * A chat badge version as returned by the Helix chat badges endpoints.
+ * @typedef {Object} HelixBadgeVersion
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} image_url_1x
+ * @property {string} image_url_2x
+ * @property {string} image_url_4x
+ */
+
+/**
+ * @typedef {Object} HelixBadgeSet
+ * @property {string} set_id
+ * @property {HelixBadgeVersion[]} versions
+ */
+
+/**
+ * Error thrown when Helix answers with a non 2xx status.
+ */
+export class HelixError extends Error {
+    /**
+     * @param {number} status - The HTTP status code.
+     * @param {string} message - The error message sent by Helix.
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HelixError';
+        this.status = status;
+    }
+}
+
+/**
+ * Minimal client for the Twitch Helix api authenticated with a user access token.
+ */
+export class HelixClient {
+    /**
+     * @param {string} clientId - The application client id.
+     * @param {string} accessToken - The user access token.
+     * @param {string} [baseUrl=DEFAULT_HELIX_URL]
+     */
+    constructor(clientId, accessToken, baseUrl = DEFAULT_HELIX_URL) {
+        this.clientId = clientId;
+        this.accessToken = accessToken;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The endpoint path, e.g. `/chat/badges`.
+     * @param {Object} [options={}]
+     * @param {Object.<string, string>} [options.params] - Query parameters.
+     * @param {Object} [options.body] - Json body.
+     * @returns {Promise<any>} - The parsed response, null for empty responses.
+     */
+    async request(method, path, options = {}) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        Object.entries(options.params || {}).forEach(([key, value]) =>
+            url.searchParams.append(key, value)
+        );
+
+        /** @type {Object.<string, string>} */
+        const headers = {
+            'Client-Id': this.clientId,
+            Authorization: `Bearer ${this.accessToken}`,
+        };
+        if (options.body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(url.toString(), {
+            method,
+            headers,
+            body: options.body ? JSON.stringify(options.body) : undefined,
+        });
+
+        if (!response.ok) {
+            let message = response.statusText;
+            try {
+                message = (await response.json()).message || message;
+            } catch (e) {
+                // body is not json, keep the status text
+            }
+            throw new HelixError(response.status, message);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    /**
+     * Requires the `moderator:manage:chat_messages` scope.
+     *
+     * @param {string} broadcasterId - The `room-id` of the channel.
+     * @param {string} moderatorId - The id of the logged in user.
+     * @param {string} messageId
+     * @returns {Promise<void>}
+     */
+    async deleteChatMessage(broadcasterId, moderatorId, messageId) {
+        await this.request('DELETE', '/moderation/chat', {
+            params: {
+                broadcaster_id: broadcasterId,
+                moderator_id: moderatorId,
+                message_id: messageId,
+            },
+        });
+    }
+
+    /**
+     * Ban a user, or time them out when a duration is given.
+     * Requires the `moderator:manage:banned_users` scope.
+     *
+     * @param {string} broadcasterId - The `room-id` of the channel.
+     * @param {string} moderatorId - The id of the logged in user.
+     * @param {string} userId
+     * @param {number} [duration] - Timeout in seconds, a permanent ban without.
+     * @returns {Promise<void>}
+     */
+    async banUser(broadcasterId, moderatorId, userId, duration) {
+        await this.request('POST', '/moderation/bans', {
+            params: {
+                broadcaster_id: broadcasterId,
+                moderator_id: moderatorId,
+            },
+            body: {
+                data: duration
+                    ? { user_id: userId, duration }
+                    : { user_id: userId },
+            },
+        });
+    }
+
+    /**
+     * Lift a ban or a timeout. Requires the `moderator:manage:banned_users` scope.
+     *
+     * @param {string} broadcasterId - The `room-id` of the channel.
+     * @param {string} moderatorId - The id of the logged in user.
+     * @param {string} userId
+     * @returns {Promise<void>}
+     */
+    async unbanUser(broadcasterId, moderatorId, userId) {
+        await this.request('DELETE', '/moderation/bans', {
+            params: {
+                broadcaster_id: broadcasterId,
+                moderator_id: moderatorId,
+                user_id: userId,
+            },
+        });
+    }
+
+    /**
+     * @returns {Promise<HelixBadgeSet[]>}
+     */
+    async getGlobalChatBadges() {
+        const response = await this.request('GET', '/chat/badges/global');
+        return response.data;
+    }
+
+    /**
+     * @param {string} broadcasterId - The `room-id` of the channel.
+     * @returns {Promise<HelixBadgeSet[]>}
+     */
+    async getChannelChatBadges(broadcasterId) {
+        const response = await this.request('GET', '/chat/badges', {
+            params: { broadcaster_id: broadcasterId },
+        });
+        return response.data;
+    }
+}
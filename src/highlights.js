@@ -0,0 +1,127 @@
+/** @typedef {import('./ircMessage.js').default} IRCMessage */
+
+/**
+ * @typedef {Object} HighlightSettings
+ * @property {boolean} mentions - Highlight messages naming the logged in user.
+ * @property {string[]} keywords - Words or phrases, `/pattern/flags` for a regular expression.
+ * @property {string[]} users - Logins whose messages are always highlighted.
+ * @property {boolean} sound - Play a sound on highlights.
+ * @property {boolean} notifications - Show a system notification on highlights while the chat is hidden.
+ */
+
+/**
+ * Why a message is highlighted.
+ * @typedef {Object} HighlightMatch
+ * @property {"mention" | "keyword" | "user"} reason
+ * @property {string} term - The login, keyword or user that matched.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a keyword into a pattern, `/pattern/flags` is used as is and anything else
+ * matches as a whole word ignoring case.
+ *
+ * @param {string} keyword
+ * @returns {RegExp | null} - null for an invalid regular expression.
+ */
+export function compileKeyword(keyword) {
+    const literal = keyword.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        if (literal) {
+            // global and sticky flags would make `test` stateful
+            return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+        }
+        return new RegExp(`(^|\\W)${escapeRegExp(keyword)}(?=\\W|$)`, 'i');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Tells which chat messages deserve attention: mentions of the logged in user,
+ * user defined keywords and messages of listed users.
+ */
+export class HighlightEngine {
+    /** @type {{keyword: string, pattern: RegExp}[]} */
+    keywords = [];
+
+    /** @type {Set<string>} */
+    users = new Set();
+
+    /**
+     * Pattern matching our login, null while anonymous or with mentions disabled.
+     * @type {RegExp | null}
+     */
+    mention = null;
+
+    /** @type {string | null} */
+    login = null;
+
+    mentions = true;
+
+    /**
+     * @param {HighlightSettings} settings
+     */
+    setRules(settings) {
+        this.mentions = settings.mentions;
+        this.keywords = settings.keywords
+            .map((keyword) => ({ keyword, pattern: compileKeyword(keyword) }))
+            .filter(({ pattern }) => pattern !== null);
+        this.users = new Set(
+            settings.users.map((user) => user.replace(/^@/, '').toLowerCase())
+        );
+        this.updateMention();
+    }
+
+    /**
+     * @param {string | null} login - The logged in user, null while anonymous.
+     */
+    setLogin(login) {
+        this.login = login;
+        this.updateMention();
+    }
+
+    updateMention() {
+        this.mention =
+            this.mentions && this.login
+                ? new RegExp(
+                      `(^|\\W)@?${escapeRegExp(this.login)}(?=\\W|$)`,
+                      'i'
+                  )
+                : null;
+    }
+
+    /**
+     * @param {IRCMessage} ircMessage - A PRIVMSG.
+     * @returns {HighlightMatch | null}
+     */
+    match(ircMessage) {
+        const sender = (ircMessage.prefix.nickname || '').toLowerCase();
+        // our own messages would match our login
+        if (this.login && sender === this.login.toLowerCase()) {
+            return null;
+        }
+
+        const text = ircMessage.params[1] || '';
+        if (this.mention && this.mention.test(text)) {
+            return { reason: 'mention', term: this.login };
+        }
+        if (this.users.has(sender)) {
+            return { reason: 'user', term: sender };
+        }
+
+        const keyword = this.keywords.find(({ pattern }) => pattern.test(text));
+        if (keyword) {
+            return { reason: 'keyword', term: keyword.keyword };
+        }
+
+        return null;
+    }
+}
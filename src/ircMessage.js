@@ -1,3 +1,37 @@
+/**
+ * A native twitch emote occurrence inside of a message text.
+ * `start` and `end` are UTF-16 offsets (end exclusive) so the emote can be cut out with `String.prototype.slice`.
+ * @typedef {Object} EmotePosition
+ * @property {string} id - The twitch emote id.
+ * @property {string} name - The emote code as it appears in the text.
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * A chat badge shown in front of a username.
+ * @typedef {Object} Badge
+ * @property {string} set - The badge set id, e.g. `subscriber`.
+ * @property {string} version - The badge version id, e.g. `12` for the 1 year subscriber badge.
+ * @property {string} info - Value of the matching `badge-info` entry (exact subscription months), empty if there is none.
+ */
+
+/** @typedef {import('./types.js').ReplyParent} ReplyParent */
+
+/**
+ * Characters of IRCv3 tag value escape sequences, `\:` stands for `;` and so on.
+ */
+const UNESCAPED = {
+    ':': ';',
+    s: ' ',
+    '\\': '\\',
+    r: '\r',
+    n: '\n',
+};
+const ESCAPED = Object.fromEntries(
+    Object.entries(UNESCAPED).map(([escaped, char]) => [char, `\\${escaped}`])
+);
+
 /**
  * Represents a parsed IRC message according to the IRCv3 protocol specification.
  */
@@ -10,6 +44,7 @@ export default class IRCMessage {
 
     /**
      * The prefix of the message, typically including nickname, user, and host.
+     * Only the parts present in the message are set, a server name is stored as host.
      * @type {{nickname?: string, user?: string, host?: string}}
      */
     prefix = {};
@@ -32,37 +67,223 @@ export default class IRCMessage {
      */
     params = [];
 
+    /**
+     * Badges from the `badges` tag, in display order, merged with the `badge-info` tag.
+     *
+     * @type {Badge[]}
+     */
+    get badges() {
+        const info = Object.fromEntries(
+            IRCMessage._parseBadgeList(this.tags['badge-info']).map(
+                ({ set, version }) => [set, version]
+            )
+        );
+
+        return IRCMessage._parseBadgeList(this.tags['badges']).map(
+            ({ set, version }) => ({ set, version, info: info[set] || '' })
+        );
+    }
+
+    /**
+     * Parses a comma separated `set/version` list as used by `badges` and `badge-info` tags.
+     *
+     * @private
+     * @param {string} [tag=''] - The tag value.
+     * @returns {{set: string, version: string}[]}
+     */
+    static _parseBadgeList(tag = '') {
+        return tag
+            .split(',')
+            .filter((badge) => badge)
+            .map((badge) => {
+                const separator = badge.indexOf('/');
+                return separator === -1
+                    ? { set: badge, version: '' }
+                    : {
+                          set: badge.slice(0, separator),
+                          version: badge.slice(separator + 1),
+                      };
+            });
+    }
+
+    /**
+     * Native twitch emotes found in the `emotes` tag, ordered by their position in the message text.
+     *
+     * Twitch counts positions in unicode code points while javascript strings are indexed by UTF-16 units,
+     * therefore ranges are converted so that emotes placed after emoji or other astral characters line up.
+     *
+     * @type {EmotePosition[]}
+     */
+    get emotes() {
+        const emotesTag = this.tags['emotes'];
+        const text = this.params[this.params.length - 1] || '';
+        if (!emotesTag) {
+            return [];
+        }
+
+        // code point index -> UTF-16 offset, with one extra entry for the end of the text
+        const offsets = [];
+        let offset = 0;
+        for (const char of text) {
+            offsets.push(offset);
+            offset += char.length;
+        }
+        offsets.push(offset);
+
+        const emotes = [];
+        emotesTag.split('/').forEach((emote) => {
+            const [id, ranges = ''] = emote.split(':');
+            ranges.split(',').forEach((range) => {
+                const [start, end] = range.split('-').map(Number);
+                if (
+                    !Number.isInteger(start) ||
+                    !Number.isInteger(end) ||
+                    start > end ||
+                    end + 1 >= offsets.length
+                ) {
+                    return;
+                }
+
+                emotes.push({
+                    id,
+                    name: text.slice(offsets[start], offsets[end + 1]),
+                    start: offsets[start],
+                    end: offsets[end + 1],
+                });
+            });
+        });
+
+        return emotes.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Time the message was sent at, from the `tmi-sent-ts` tag.
+     *
+     * @type {Date | null}
+     */
+    get sentAt() {
+        const timestamp = Number(this.tags['tmi-sent-ts']);
+        return this.tags['tmi-sent-ts'] && Number.isFinite(timestamp)
+            ? new Date(timestamp)
+            : null;
+    }
+
+    /**
+     * Bits cheered with the message, 0 for messages without cheer.
+     *
+     * @type {number}
+     */
+    get bits() {
+        const bits = Number(this.tags['bits']);
+        return Number.isInteger(bits) && bits > 0 ? bits : 0;
+    }
+
+    /**
+     * Whether this is the first message of the user in the channel (`first-msg` tag).
+     *
+     * @type {boolean}
+     */
+    get isFirstMessage() {
+        return this.tags['first-msg'] === '1';
+    }
+
+    /**
+     * The message this one answers, from the `reply-parent-*` tags.
+     *
+     * @type {ReplyParent | null}
+     */
+    get replyParent() {
+        const id = this.tags['reply-parent-msg-id'];
+        if (!id) {
+            return null;
+        }
+
+        const login = this.tags['reply-parent-user-login'] || '';
+        return {
+            id,
+            login,
+            displayName: this.tags['reply-parent-display-name'] || login,
+            body: this.tags['reply-parent-msg-body'] || '',
+        };
+    }
+
     /**
      * Unescapes IRCv3 tag values by converting escape sequences to characters.
+     * As the spec requires, unknown escapes lose their backslash and a trailing lone backslash is dropped.
      *
      * @private
      * @param {string} str - The string to unescape.
      * @returns {string} - The unescaped string.
      */
     static _unescapeIRC(str) {
-        const esc2unesc = {
-            '\\:': ';',
-            '\\s': ' ',
-            '\\\\': '\\',
-            '\\r': '\r',
-            '\\n': '\n',
-        };
+        return str.replace(
+            /\\([\s\S]?)/g,
+            (match, char) => UNESCAPED[char] ?? char
+        );
+    }
 
-        return str.replace(/\\[snr\:\\]/g, (match) => esc2unesc[match]);
+    /**
+     * Escapes IRCv3 tag values, the reverse of `_unescapeIRC`.
+     *
+     * @private
+     * @param {string} str - The string to escape.
+     * @returns {string} - The escaped string.
+     */
+    static _escapeIRC(str) {
+        return str.replace(/[; \\\r\n]/g, (char) => ESCAPED[char]);
     }
 
     /**
-     * Parses and unescapes a tag key-value pair.
+     * Parses a `key=value` tag, only the first `=` separates key and value.
+     * Keys are not escaped, a missing value is the same as an empty one.
      *
      * @private
-     * @param {string} rawKey - The raw (escaped) tag key.
-     * @param {string} [rawValue=''] - The raw (escaped) tag value.
-     * @returns {{unescapedKey: string, unescapedValue: string}} - The unescaped key-value pair.
+     * @param {string} rawTag - The raw tag.
+     * @returns {{key: string, rawValue: string, value: string}}
      */
-    static _parseTag(rawKey, rawValue = '') {
-        const unescapedKey = IRCMessage._unescapeIRC(rawKey);
-        const unescapedValue = IRCMessage._unescapeIRC(rawValue);
-        return { unescapedKey, unescapedValue };
+    static _parseTag(rawTag) {
+        const separator = rawTag.indexOf('=');
+        if (separator === -1) {
+            return { key: rawTag, rawValue: '', value: '' };
+        }
+
+        const rawValue = rawTag.slice(separator + 1);
+        return {
+            key: rawTag.slice(0, separator),
+            rawValue,
+            value: IRCMessage._unescapeIRC(rawValue),
+        };
+    }
+
+    /**
+     * Parses a `nickname!user@host` prefix, a prefix of a server (`tmi.twitch.tv`) is stored as host.
+     *
+     * @private
+     * @param {string} rawPrefix - The prefix without its leading `:`.
+     * @returns {{nickname?: string, user?: string, host?: string}}
+     */
+    static _parsePrefix(rawPrefix) {
+        const prefix = {};
+        let rest = rawPrefix;
+
+        const at = rest.indexOf('@');
+        if (at !== -1) {
+            prefix.host = rest.slice(at + 1);
+            rest = rest.slice(0, at);
+        }
+        const bang = rest.indexOf('!');
+        if (bang !== -1) {
+            prefix.user = rest.slice(bang + 1);
+            rest = rest.slice(0, bang);
+        }
+
+        // nicknames cannot contain dots, server names always do
+        if (at === -1 && bang === -1 && rest.includes('.')) {
+            prefix.host = rest;
+        } else if (rest) {
+            prefix.nickname = rest;
+        }
+        return prefix;
     }
 
     /**
@@ -72,77 +293,119 @@ export default class IRCMessage {
      * @returns {IRCMessage} - The parsed IRCMessage instance.
      */
     static parse(message) {
-        let newIRCMessage = new IRCMessage();
+        const newIRCMessage = new IRCMessage();
+        // a line may still carry its CR LF terminator
+        const line = message.replace(/[\r\n]+$/, '');
         let offset = 0;
 
-        const currentChar = (c, start = offset) => message[start] === c;
-        const getNextSpace = () => {
-            let index = message.indexOf(' ', offset);
-            return index === -1 ? message.length : index;
+        // parts are separated by one or more spaces
+        const skipSpaces = () => {
+            while (line[offset] === ' ') {
+                offset++;
+            }
         };
+        const nextPart = () => {
+            let end = line.indexOf(' ', offset);
+            end = end === -1 ? line.length : end;
+            const part = line.slice(offset, end);
+            offset = end;
+            skipSpaces();
+            return part;
+        };
+        skipSpaces();
 
-        // Parse tags
-        if (currentChar('@')) {
-            const tagsEnd = getNextSpace();
-            const tagsRaw = message.slice(offset + 1, tagsEnd);
-
-            tagsRaw.split(';').forEach((tagStr) => {
-                const [rawKey, rawValue = ''] = tagStr.split('=');
-                const { unescapedKey, unescapedValue } = IRCMessage._parseTag(
-                    rawKey,
-                    rawValue
-                );
-                newIRCMessage.rawTags[rawKey] = rawValue;
-                newIRCMessage.tags[unescapedKey] = unescapedValue;
-            });
-
-            offset = tagsEnd + 1;
+        // Parse tags, later duplicates of a key win
+        if (line[offset] === '@') {
+            nextPart()
+                .slice(1)
+                .split(';')
+                .filter((rawTag) => rawTag)
+                .forEach((rawTag) => {
+                    const { key, rawValue, value } =
+                        IRCMessage._parseTag(rawTag);
+                    newIRCMessage.rawTags[key] = rawValue;
+                    newIRCMessage.tags[key] = value;
+                });
         }
 
         // Parse prefix
-        if (currentChar(':')) {
-            const prefixEnd = getNextSpace();
-            const prefixRaw = message.slice(offset + 1, prefixEnd);
-            let nickname, user, host;
-
-            if (prefixRaw.includes('!')) {
-                let userHost;
-                [nickname, userHost] = prefixRaw.split('!');
-                [user, host] = userHost.includes('@')
-                    ? userHost.split('@')
-                    : [userHost, undefined];
-            } else if (prefixRaw.includes('@')) {
-                [user, host] = prefixRaw.split('@');
-            } else {
-                host = prefixRaw;
-            }
-
-            newIRCMessage.prefix.nickname = nickname;
-            newIRCMessage.prefix.user = user;
-            newIRCMessage.prefix.host = host;
-
-            offset = prefixEnd + 1;
+        if (line[offset] === ':') {
+            newIRCMessage.prefix = IRCMessage._parsePrefix(nextPart().slice(1));
         }
 
         // Parse command
-        const commandEnd = getNextSpace();
-        newIRCMessage.command = message.slice(offset, commandEnd);
-        offset = commandEnd + 1;
-
-        // Parse parameters
-        while (offset < message.length) {
-            if (currentChar(':')) {
-                newIRCMessage.params.push(message.slice(offset + 1));
+        newIRCMessage.command = nextPart();
+
+        // Parse parameters, the trailing one starts with `:` and may contain spaces
+        while (offset < line.length) {
+            if (line[offset] === ':') {
+                newIRCMessage.params.push(line.slice(offset + 1));
                 break;
             }
-            const nextSpace = getNextSpace();
-            newIRCMessage.params.push(message.slice(offset, nextSpace));
-            offset = nextSpace + 1;
+            newIRCMessage.params.push(nextPart());
         }
 
         return newIRCMessage;
     }
 
+    /**
+     * Sets a tag to an unescaped value, keeping `rawTags` in sync.
+     *
+     * @param {string} key
+     * @param {string} value
+     */
+    setTag(key, value) {
+        this.tags[key] = value;
+        this.rawTags[key] = IRCMessage._escapeIRC(value);
+    }
+
+    /**
+     * Serializes the message to a raw IRC line without CR LF, `IRCMessage.parse` reads it back to an equal message.
+     * The last parameter is sent as trailing parameter whenever there are several, like twitch does.
+     *
+     * @returns {string} - The raw IRC line.
+     */
+    toString() {
+        const parts = [];
+
+        const tags = Object.entries(this.tags);
+        if (tags.length) {
+            parts.push(
+                `@${tags
+                    .map(
+                        ([key, value]) =>
+                            `${key}=${IRCMessage._escapeIRC(value)}`
+                    )
+                    .join(';')}`
+            );
+        }
+
+        const { nickname, user, host } = this.prefix;
+        if (nickname || user || host) {
+            parts.push(
+                `:${nickname || ''}${user ? `!${user}` : ''}${
+                    host ? `${nickname || user ? '@' : ''}${host}` : ''
+                }`
+            );
+        }
+
+        parts.push(this.command);
+
+        const params = [...this.params];
+        const last = params.pop();
+        parts.push(...params);
+        if (last !== undefined) {
+            const isTrailing =
+                params.length > 0 ||
+                last === '' ||
+                last.includes(' ') ||
+                last.startsWith(':');
+            parts.push(isTrailing ? `:${last}` : last);
+        }
+
+        return parts.join(' ');
+    }
+
     /**
      * Serializes the IRCMessage instance to a JSON object.
      *
@@ -0,0 +1,89 @@
+/**
+ * A batch of chat events delivered to a port in one TBAT message.
+ * @typedef {Object} MessageBatch
+ * @property {Object[]} messages - IRC messages as JSON, oldest first.
+ * @property {number} dropped - Messages left out of this batch due to backpressure.
+ */
+
+/**
+ * @typedef {Object} MessageBatcherOptions
+ * @property {number} [interval] - Time window in ms collected into one batch.
+ * @property {number} [maxSize] - Messages per batch, droppable ones beyond it are discarded.
+ * @property {(payload: Object) => boolean} [isDroppable] - Messages that may be discarded under backpressure.
+ */
+
+/**
+ * Coalesces chat events posted to a port into time windowed batches.
+ *
+ * Backpressure: a batch holds at most `maxSize` messages. Once it is full, droppable
+ * messages (plain chat of other users) are discarded and only counted, the count is
+ * sent along with the batch so the window can tell how many were skipped. Messages
+ * that change what is already shown (moderation, user notices, our own messages)
+ * are never dropped, so a batch can exceed `maxSize` by those.
+ */
+export class MessageBatcher {
+    /** @type {Object[]} */
+    messages = [];
+    dropped = 0;
+
+    /** @type {ReturnType<typeof setTimeout>} */
+    timer = null;
+
+    /**
+     * @param {(batch: MessageBatch) => void} flush - Called with every batch at the end of its window.
+     * @param {MessageBatcherOptions} [options]
+     */
+    constructor(
+        flush,
+        { interval = 100, maxSize = 200, isDroppable = () => true } = {}
+    ) {
+        this.flush = flush;
+        this.interval = interval;
+        this.maxSize = maxSize;
+        this.isDroppable = isDroppable;
+    }
+
+    /**
+     * Add a message to the current batch, the window starts with the first message.
+     *
+     * @param {Object} payload - An IRC message as JSON.
+     */
+    push(payload) {
+        if (this.messages.length >= this.maxSize && this.isDroppable(payload)) {
+            this.dropped++;
+        } else {
+            this.messages.push(payload);
+        }
+
+        if (this.timer === null) {
+            this.timer = setTimeout(() => this.flushNow(), this.interval);
+        }
+    }
+
+    /**
+     * Deliver the current batch right away.
+     */
+    flushNow() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.messages.length === 0 && this.dropped === 0) {
+            return;
+        }
+
+        const batch = { messages: this.messages, dropped: this.dropped };
+        this.messages = [];
+        this.dropped = 0;
+        this.flush(batch);
+    }
+
+    /**
+     * Discard the current batch, e.g. when the port switches channel.
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.messages = [];
+        this.dropped = 0;
+    }
+}
@@ -0,0 +1,202 @@
+import {
+    DEFAULT_SETTINGS,
+    loadSettings,
+    saveSettings,
+    watchSettings,
+} from './settings.js';
+/** @typedef {import('./settings.js').Settings} Settings */
+/** @typedef {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} Field */
+
+/**
+ * Services run locally, e.g. a stand-in for the recent messages service, are only reachable once granted.
+ */
+const LOCALHOST_ORIGIN = 'http://localhost/*';
+
+/**
+ * @param {Object} object
+ * @param {string} path - Dot separated keys, e.g. `font.size`.
+ * @returns {*}
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * @param {string} path - Dot separated keys, e.g. `font.size`.
+ * @param {*} value
+ * @returns {Object} - Nested object holding only the value, e.g. `{ font: { size: 14 } }`.
+ */
+function fromPath(path, value) {
+    return path
+        .split('.')
+        .reduceRight((nested, key) => ({ [key]: nested }), value);
+}
+
+/**
+ * Fills the options form from the settings and saves every change right away.
+ * Fields are named after the path of their setting.
+ */
+class OptionsPage {
+    /** @type {ReturnType<typeof setTimeout>} */
+    statusTimer = null;
+
+    /**
+     * @param {HTMLFormElement} form
+     */
+    constructor(form) {
+        this.form = form;
+        this.status = form.querySelector('#status');
+
+        form.addEventListener('change', this.onChange.bind(this));
+        form.querySelector('#reset').addEventListener(
+            'click',
+            this.onReset.bind(this)
+        );
+    }
+
+    async load() {
+        this.render(await loadSettings());
+        // settings can change from another browser or a second options page
+        watchSettings((settings) => this.render(settings));
+    }
+
+    /**
+     * @param {Settings} settings
+     */
+    render(settings) {
+        this.getFields().forEach((field) => {
+            const value = getPath(settings, field.name);
+            if (
+                field instanceof HTMLInputElement &&
+                field.type === 'checkbox'
+            ) {
+                field.checked = value === true;
+            } else if (Array.isArray(value)) {
+                field.value = value.join('\n');
+            } else {
+                field.value = String(value);
+            }
+        });
+    }
+
+    /**
+     * @returns {Field[]}
+     */
+    getFields() {
+        return /** @type {Field[]} */ (
+            Array.from(this.form.elements).filter(
+                (element) =>
+                    (element instanceof HTMLInputElement ||
+                        element instanceof HTMLSelectElement ||
+                        element instanceof HTMLTextAreaElement) &&
+                    element.name
+            )
+        );
+    }
+
+    /**
+     * @param {Field} field
+     * @returns {*}
+     */
+    readField(field) {
+        if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+            return field.checked;
+        }
+        if (field.type === 'number' || field.dataset.type === 'number') {
+            return Number(field.value);
+        }
+        // lists are edited one entry per line
+        if (field.dataset.type === 'lines') {
+            return field.value.split('\n');
+        }
+        return field.value;
+    }
+
+    /**
+     * @param {Event} e
+     */
+    async onChange(e) {
+        const field = /** @type {Field} */ (e.target);
+        if (!field.name) {
+            return;
+        }
+
+        if (!(await this.requestHostPermission(field))) {
+            this.showError(new Error('access to localhost was not granted'));
+            return;
+        }
+
+        // invalid values are corrected by the settings module, show what was stored
+        try {
+            const settings = await saveSettings(
+                fromPath(field.name, this.readField(field))
+            );
+            this.render(settings);
+            this.showStatus('Saved');
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    /**
+     * asks for the optional localhost permission when a url field points there.
+     * @param {Field} field
+     * @returns {Promise<boolean>} - false when a needed permission was denied.
+     */
+    async requestHostPermission(field) {
+        if (field.type !== 'url') {
+            return true;
+        }
+
+        let url;
+        try {
+            url = new URL(field.value);
+        } catch (e) {
+            return true;
+        }
+        if (url.protocol !== 'http:' || url.hostname !== 'localhost') {
+            return true;
+        }
+
+        try {
+            return await chrome.permissions.request({
+                origins: [LOCALHOST_ORIGIN],
+            });
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async onReset() {
+        try {
+            this.render(await saveSettings(DEFAULT_SETTINGS));
+            this.showStatus('Defaults restored');
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    /**
+     * the form keeps the rejected value so it can be corrected, the stored settings are unchanged.
+     * @param {Error} error
+     */
+    showError(error) {
+        clearTimeout(this.statusTimer);
+        this.status.textContent = `Not saved: ${error.message}`;
+    }
+
+    /**
+     * @param {string} text
+     */
+    showStatus(text) {
+        clearTimeout(this.statusTimer);
+        this.status.textContent = text;
+        this.statusTimer = setTimeout(() => {
+            this.status.textContent = '';
+        }, 2000);
+    }
+}
+
+new OptionsPage(
+    /** @type {HTMLFormElement} */ (document.getElementById('options'))
+).load();
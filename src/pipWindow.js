@@ -1,4 +1,76 @@
 import { findLargestPlayingVideo, PublishSubscribeTemplate } from './utils-esm';
+import {
+    getEmoteUrl,
+    replaceThirdPartyEmotes,
+    tokenizeMessage,
+} from './emotes.js';
+import { getBadgeTooltip } from './badges.js';
+import {
+    DEFAULT_ROOM_STATE,
+    getChatRestriction,
+    getRoomStateIndicators,
+    isExemptFromRestrictions,
+    isModerator,
+} from './roomState.js';
+import { ChatLog } from './chatLog.js';
+import { HighlightEngine } from './highlights.js';
+import { UserHistory } from './userHistory.js';
+import {
+    DEFAULT_SETTINGS,
+    LAYOUT_MODES,
+    mergeSettings,
+    validateSettings,
+} from './settings.js';
+/** @typedef {import('./ircMessage.js').default} IRCMessage */
+/** @typedef {import('./emotes.js').EmoteScale} EmoteScale */
+/** @typedef {import('./emotes.js').MessageFragment} MessageFragment */
+/** @typedef {import('./emoteProviders.js').ThirdPartyEmote} ThirdPartyEmote */
+/** @typedef {import('./badges.js').BadgeDefinitions} BadgeDefinitions */
+/** @typedef {import('./ircMessage.js').Badge} Badge */
+/** @typedef {import('./chatLog.js').ChatEntry} ChatEntry */
+/** @typedef {import('./settings.js').Settings} Settings */
+/** @typedef {import('./settings.js').LayoutMode} LayoutMode */
+/** @typedef {import('./filters.js').FilterMatch} FilterMatch */
+
+/**
+ * The Document Picture-in-Picture API, the dom typings do not include it yet.
+ * @typedef {Object} DocumentPictureInPicture
+ * @property {(options?: Object) => Promise<Window>} requestWindow
+ */
+
+/**
+ * How messages removed by moderators are shown.
+ * @typedef { "hide" | "strike" | "placeholder" } DeletedMessageMode
+ */
+
+/**
+ * USERNOTICE events that can be toggled, `other` covers the rarer ones (upgrades, milestones, ...).
+ * @typedef { "sub" | "resub" | "subgift" | "submysterygift" | "raid" | "announcement" | "other" } UserNoticeType
+ */
+
+/**
+ * Map the `msg-id` tag of a USERNOTICE to the event it is shown as.
+ *
+ * @param {string} msgId
+ * @returns {UserNoticeType}
+ */
+function getUserNoticeType(msgId) {
+    switch (msgId) {
+        case 'sub':
+        case 'resub':
+        case 'subgift':
+        case 'submysterygift':
+        case 'raid':
+        case 'announcement':
+            return msgId;
+        case 'anonsubgift':
+            return 'subgift';
+        case 'anonsubmysterygift':
+            return 'submysterygift';
+        default:
+            return 'other';
+    }
+}
 
 export class PIPWindowManager extends PublishSubscribeTemplate {
     mediaSession = navigator.mediaSession;
@@ -6,22 +78,162 @@ export class PIPWindowManager extends PublishSubscribeTemplate {
     pipWindow = null;
     videoElement = null;
 
+    /**
+     * size of the PIP window, taken from the settings when it is opened.
+     */
     options = {
-        width: 480,
-        height: 300,
+        width: DEFAULT_SETTINGS.window.width,
+        height: DEFAULT_SETTINGS.window.height,
         preferInitialWindowPlacement: true,
     };
 
     /**
-     * Minimum px required for chat container to show
+     * synced settings, applied live while the PIP window is open.
+     * @type {Settings}
+     */
+    settings = DEFAULT_SETTINGS;
+
+    /**
+     * Maximum chat entries in the DOM while following the chat, older ones only live in `chatLog`.
+     */
+    MAX_RENDERED = 150;
+
+    /**
+     * Distance in px from the bottom of the chat still counted as following it.
+     */
+    SCROLL_THRESHOLD = 32;
+
+    /**
+     * Entries rendered at once when scrolling up to the oldest rendered one.
+     */
+    RENDER_OLDER_COUNT = 50;
+
+    /**
+     * Minimum ms between two highlight sounds / notifications.
+     */
+    HIGHLIGHT_ALERT_COOLDOWN = 3000;
+
+    /**
+     * Resolution of emote images, can be switched with alt + 1/2/3 inside of the PIP window.
+     * @type {EmoteScale}
+     */
+    emoteScale = 1;
+
+    /**
+     * BTTV / FFZ / 7TV emotes of the current channel keyed by name.
+     * @type {Map<string, ThirdPartyEmote>}
+     */
+    thirdPartyEmotes = new Map();
+
+    /**
+     * Global and channel chat badges, messages arriving before they are loaded are shown without badges.
+     * @type {BadgeDefinitions}
+     */
+    badgeDefinitions = {};
+
+    /**
+     * the logged in user, used to tell apart our own messages.
+     * @type {import('./types.js').Identity}
+     */
+    identity = null;
+
+    /** @type {ReturnType<typeof setInterval>} */
+    statusCountdown = null;
+
+    /**
+     * read only session, the send button turns into a login button.
+     */
+    loginRequired = false;
+
+    /**
+     * state of the connection to twitch, messages can only be sent while `live`.
+     * @type {import('./reconnect.js').ConnectionState}
+     */
+    connectionState = 'closed';
+
+    /**
+     * set while the backlog of the channel is rendered.
+     */
+    isReplayingHistory = false;
+    historyCount = 0;
+
+    /**
+     * chat of the current channel, the DOM only shows the newest part of it.
+     */
+    chatLog = new ChatLog();
+
+    /**
+     * messages of every user seen in the channel, shown by the user card.
+     */
+    userHistory = new UserHistory();
+    /**
+     * moderator actions open below a message.
+     * @type {HTMLElement | null}
+     */
+    modMenu = null;
+
+    /**
+     * user whose card is open.
+     * @type {string | null}
+     */
+    userCardId = null;
+
+    /**
+     * the chat sticks to the newest message until the user scrolls up.
+     */
+    isFollowingChat = true;
+    /**
+     * set while a batch of entries is added, the chat scrolls once after it.
+     */
+    isBatching = false;
+
+    /**
+     * mentions, keywords and users from the settings.
+     */
+    highlights = new HighlightEngine();
+    lastHighlightAlert = 0;
+
+    /**
+     * messages hidden by the filters of the content script, they can be revealed on demand.
      */
-    MIN_SPACE = 200;
+    filteredCount = 0;
+    showFiltered = false;
+    /** @type {AudioContext} */
+    audioContext = null;
+    /**
+     * messages arrived since the user scrolled up.
+     */
+    unseenCount = 0;
+
+    /**
+     * chat restrictions of the channel and our badges in it, used to enforce them on the input.
+     * @type {import('./roomState.js').RoomState}
+     */
+    roomState = DEFAULT_ROOM_STATE;
+    /** @type {Badge[]} */
+    userBadges = [];
+
+    /**
+     * message the next one we send answers, set by the reply action.
+     * @type {import('./types.js').ReplyParent | null}
+     */
+    replyTarget = null;
+
+    /**
+     * end of the slow mode wait after our last message, in ms.
+     */
+    slowModeUntil = 0;
+    /** @type {ReturnType<typeof setTimeout>} */
+    slowModeTimer = null;
 
     constructor() {
         super();
 
         this.mediaSession.setActionHandler(
-            'enterpictureinpicture',
+            // the action is not in the dom typings yet
+            /** @type {MediaSessionAction} */ (
+                /** @type {string} */ ('enterpictureinpicture')
+            ),
             this.onEnterPIP.bind(this)
         );
     }
@@ -37,6 +249,10 @@ export class PIPWindowManager extends PublishSubscribeTemplate {
 
         this.originalParent = this.videoElement.parentNode;
 
+        const { documentPictureInPicture } =
+            /** @type {{documentPictureInPicture: DocumentPictureInPicture}} */ (
+                /** @type {unknown} */ (window)
+            );
         this.pipWindow = await documentPictureInPicture.requestWindow(
             this.options
         );
@@ -49,22 +265,91 @@ export class PIPWindowManager extends PublishSubscribeTemplate {
         this.container =
             this.pipWindow.document.getElementById('dpip__container');
         this.chat = this.pipWindow.document.getElementById('dpip__chat');
+        this.newMessagesButton =
+            this.pipWindow.document.getElementById('dpip__newmessages');
+        this.status = this.pipWindow.document.getElementById('dpip__status');
+        this.roomStateBar =
+            this.pipWindow.document.getElementById('dpip__roomstate');
+        this.textInput =
+            this.pipWindow.document.getElementById('dpip__textinput');
+        this.sendButton =
+            this.pipWindow.document.getElementById('dpip__sendbutton');
+
+        this.splitter =
+            this.pipWindow.document.getElementById('dpip__splitter');
+        this.filteredButton =
+            this.pipWindow.document.getElementById('dpip__filtered');
+        this.replyBar = this.pipWindow.document.getElementById('dpip__reply');
+        this.userCard =
+            this.pipWindow.document.getElementById('dpip__usercard');
+
+        this.sendButton.addEventListener('click', this.sendMessage.bind(this));
+        this.splitter.addEventListener(
+            'pointerdown',
+            this.onSplitterPointerDown.bind(this)
+        );
+        this.chat.addEventListener('scroll', this.onChatScroll.bind(this));
+        this.chat.addEventListener('click', this.onChatClick.bind(this));
+        this.replyBar
+            .querySelector('.dpip__reply_cancel')
+            .addEventListener('click', this.cancelReply.bind(this));
+        this.userCard.addEventListener(
+            'click',
+            this.onUserCardClick.bind(this)
+        );
+        this.newMessagesButton.addEventListener(
+            'click',
+            this.scrollToBottom.bind(this)
+        );
+        this.filteredButton.addEventListener(
+            'click',
+            this.toggleFiltered.bind(this)
+        );
+        this.textInput.addEventListener(
+            'keydown',
+            this.onTextInputKeydown.bind(this)
+        );
+        this.pipWindow.addEventListener(
+            'keydown',
+            this.onPIPKeydown.bind(this)
+        );
+        this.setEmoteScale(this.emoteScale);
+        this.applyChatStyle();
+        this.updateModeratorTools();
 
         this.wrapper
             .querySelector('.dpip__video_container')
             .prepend(this.videoElement);
 
         this.copyAllStylesheets();
+        this.updateLayout();
 
         this.videoElement.addEventListener(
             'loadedmetadata',
             this.updateLayout.bind(this)
         );
         this.pipWindow.addEventListener('resize', this.updateLayout.bind(this));
+        this.pipWindow.addEventListener('pagehide', this.onPIPClose.bind(this));
 
         this.emit('enterpictureinpicture');
     }
 
+    /**
+     * the chat log and user history hold elements of the closed window, let them go with it.
+     */
+    onPIPClose() {
+        clearInterval(this.statusCountdown);
+        clearTimeout(this.slowModeTimer);
+        this.closeModMenu();
+        this.closeUserCard();
+        this.cancelReply();
+        this.chatLog.clear();
+        this.userHistory.clear();
+        this.chat.replaceChildren();
+        this.filteredCount = 0;
+        this.unseenCount = 0;
+    }
+
     copyAllStylesheets() {
         // Copy all style sheets.
         [...document.styleSheets].forEach((styleSheet) => {
@@ -81,7 +366,7 @@ export class PIPWindowManager extends PublishSubscribeTemplate {
 
                 link.rel = 'stylesheet';
                 link.type = styleSheet.type;
-                link.media = styleSheet.media;
+                link.media = styleSheet.media.mediaText;
                 link.href = styleSheet.href;
                 this.pipWindow.document.head.appendChild(link);
             }
@@ -89,71 +374,1482 @@ export class PIPWindowManager extends PublishSubscribeTemplate {
     }
 
     /**
-     * dynamically determine and adjust video size based on current window size.
+     * arrange video and chat according to the layout mode, `auto` is resolved on every resize.
      */
     updateLayout() {
+        const mode = this.getLayoutMode();
+
+        this.wrapper.dataset.layout = mode;
+        this.container.style.flexBasis =
+            mode === 'overlay' ? '' : `${this.settings.layout.chatSize}%`;
+    }
+
+    /**
+     * @returns {Exclude<LayoutMode, 'auto'>}
+     */
+    getLayoutMode() {
+        const { mode, minChatSpace } = this.settings.layout;
+        if (mode !== 'auto') {
+            return mode;
+        }
+
         const windowWidth = this.pipWindow.innerWidth;
         const windowHeight = this.pipWindow.innerHeight;
+        // the video may not have loaded its metadata yet
         const videoAspect =
-            this.videoElement.videoWidth / this.videoElement.videoHeight;
+            this.videoElement.videoWidth && this.videoElement.videoHeight
+                ? this.videoElement.videoWidth / this.videoElement.videoHeight
+                : 16 / 9;
+
+        if (windowWidth / windowHeight > videoAspect) {
+            // Fit by height, room is left next to the video
+            const leftoverWidth = windowWidth - windowHeight * videoAspect;
+            return leftoverWidth < minChatSpace ? 'overlay' : 'side';
+        }
 
-        const windowAspect = windowWidth / windowHeight;
+        // Fit by width, room is left below the video
+        const leftoverHeight = windowHeight - windowWidth / videoAspect;
+        return leftoverHeight < minChatSpace ? 'overlay' : 'stacked';
+    }
 
-        let videoWidth, videoHeight;
+    /**
+     * resize the chat by dragging the divider between video and chat.
+     * @param {PointerEvent} e
+     */
+    onSplitterPointerDown(e) {
+        e.preventDefault();
+        this.splitter.setPointerCapture(e.pointerId);
 
-        if (windowAspect > videoAspect) {
-            // Fit by height
-            videoHeight = windowHeight;
-            videoWidth = videoHeight * videoAspect;
-            this.wrapper.style.flexDirection = 'row';
-            const leftoverWidth = windowWidth - videoWidth;
-            if (leftoverWidth < this.MIN_SPACE) {
-                this.container.style.display = 'none';
-            } else {
-                this.container.style.display = 'flex';
-            }
-        } else {
-            // Fit by width
-            videoWidth = windowWidth;
-            videoHeight = videoWidth / videoAspect;
-            this.wrapper.style.flexDirection = 'column';
-            const leftoverHeight = windowHeight - videoHeight;
-            if (leftoverHeight < this.MIN_SPACE) {
-                this.container.style.display = 'none';
-            } else {
-                this.container.style.display = 'flex';
+        const onPointerMove = (/** @type {PointerEvent} */ e) => {
+            const rect = this.wrapper.getBoundingClientRect();
+            const chatSize =
+                this.wrapper.dataset.layout === 'side'
+                    ? (rect.right - e.clientX) / rect.width
+                    : (rect.bottom - e.clientY) / rect.height;
+            this.container.style.flexBasis = `${Math.min(
+                Math.max(Math.round(chatSize * 100), 15),
+                85
+            )}%`;
+        };
+        const onPointerUp = () => {
+            this.splitter.removeEventListener('pointermove', onPointerMove);
+            this.splitter.removeEventListener('pointerup', onPointerUp);
+            // only stored once dropped, synced storage limits writes per minute
+            this.changeSettings({
+                layout: { chatSize: parseInt(this.container.style.flexBasis) },
+            });
+        };
+
+        this.splitter.addEventListener('pointermove', onPointerMove);
+        this.splitter.addEventListener('pointerup', onPointerUp);
+    }
+
+    /**
+     * switch to the next layout mode.
+     */
+    cycleLayout() {
+        const { mode } = this.settings.layout;
+        const next =
+            LAYOUT_MODES[
+                (LAYOUT_MODES.indexOf(mode) + 1) % LAYOUT_MODES.length
+            ];
+        this.changeSettings({ layout: { mode: next } });
+    }
+
+    /**
+     * apply a change made inside of the PIP window right away and ask for it to be stored.
+     * @param {Object} changes - Partial settings.
+     */
+    changeSettings(changes) {
+        this.applySettings(
+            validateSettings(mergeSettings(this.settings, changes))
+        );
+        this.emit('settingschange', changes);
+    }
+
+    /**
+     * hotkeys available inside of the PIP window.
+     * @param {KeyboardEvent} e
+     */
+    onPIPKeydown(e) {
+        if (e.altKey && ['1', '2', '3'].includes(e.key)) {
+            e.preventDefault();
+            this.setEmoteScale(/** @type {EmoteScale} */ (Number(e.key)));
+        }
+        if (e.altKey && e.code === 'KeyL') {
+            e.preventDefault();
+            this.cycleLayout();
+        }
+        if (e.key === 'Escape' && this.userCardId) {
+            e.preventDefault();
+            this.closeUserCard();
+        }
+        if (e.key === 'Escape' && this.modMenu) {
+            e.preventDefault();
+            this.closeModMenu();
+        }
+    }
+
+    /**
+     * switch resolution of emote images, including the ones already rendered.
+     * @param {EmoteScale} scale
+     */
+    setEmoteScale(scale) {
+        this.emoteScale = scale;
+
+        if (!this.chat) {
+            return;
+        }
+
+        this.chat.style.setProperty('--dpip-emote-scale', String(scale));
+        this.chat.querySelectorAll('img.dpip__emote').forEach((element) => {
+            const img = /** @type {HTMLImageElement} */ (element);
+            const emote = this.thirdPartyEmotes.get(img.alt);
+            img.src =
+                img.dataset.emoteProvider && emote
+                    ? emote.urls[scale]
+                    : getEmoteUrl(img.dataset.emoteId, scale);
+        });
+    }
+
+    /**
+     * replace the third party emotes used for upcoming messages, later entries win over earlier ones.
+     * @param {ThirdPartyEmote[]} emotes
+     */
+    setThirdPartyEmotes(emotes) {
+        this.thirdPartyEmotes = new Map(
+            emotes.map((emote) => [emote.name, emote])
+        );
+    }
+
+    /**
+     * show the state of the twitch connection on top of the chat, hidden while live.
+     * @param {import('./reconnect.js').ConnectionState} state
+     * @param {number} [retryIn] - ms until the next attempt while reconnecting.
+     */
+    setConnectionState(state, retryIn) {
+        this.connectionState = state;
+        if (!this.status) {
+            return;
+        }
+
+        clearInterval(this.statusCountdown);
+        this.status.dataset.state = state;
+
+        switch (state) {
+            case 'connecting':
+                this.status.textContent = 'Connecting to chat…';
+                break;
+            case 'live':
+                this.status.textContent = '';
+                break;
+            case 'reconnecting': {
+                const retryAt = Date.now() + (retryIn || 0);
+                const update = () => {
+                    const seconds = Math.max(
+                        0,
+                        Math.ceil((retryAt - Date.now()) / 1000)
+                    );
+                    this.status.textContent = seconds
+                        ? `Connection lost, reconnecting in ${seconds}s…`
+                        : 'Reconnecting…';
+                };
+                update();
+                this.statusCountdown = setInterval(update, 1000);
+                break;
             }
+            case 'failed':
+                this.status.textContent = 'Could not connect to chat';
+                break;
+            case 'closed':
+                this.status.textContent = 'Disconnected from chat';
+                break;
+        }
+    }
+
+    /**
+     * switch the input area between chatting and a "log in to chat" prompt.
+     * @param {boolean} required
+     */
+    setLoginRequired(required) {
+        this.loginRequired = required;
+        this.updateInput();
+    }
+
+    /**
+     * @param {import('./roomState.js').RoomState} roomState
+     */
+    setRoomState(roomState) {
+        this.roomState = roomState;
+
+        this.roomStateBar.replaceChildren(
+            ...getRoomStateIndicators(roomState).map((indicator) => {
+                const element = this.pipWindow.document.createElement('span');
+                element.className = 'dpip__roomstate_mode';
+                element.textContent = indicator.label;
+                element.title = indicator.title;
+                return element;
+            })
+        );
+        this.updateInput();
+    }
+
+    /**
+     * @param {Badge[]} badges - our badges in the channel (USERSTATE).
+     */
+    setUserBadges(badges) {
+        this.userBadges = badges;
+        this.updateInput();
+        this.updateModeratorTools();
+    }
+
+    /**
+     * moderator actions of the messages are only shown to moderators of the channel.
+     */
+    updateModeratorTools() {
+        if (!this.chat) {
+            return;
+        }
+
+        const moderator = isModerator(this.userBadges);
+        this.chat.classList.toggle('dpip__chat--moderator', moderator);
+        if (!moderator) {
+            this.closeModMenu();
+        }
+    }
+
+    /**
+     * reflect login, sub-only and slow mode on the input area.
+     */
+    updateInput() {
+        if (!this.textInput) {
+            return;
+        }
+
+        clearTimeout(this.slowModeTimer);
+
+        if (this.loginRequired) {
+            this.textInput.disabled = true;
+            this.textInput.placeholder = 'Log in to chat';
+            this.sendButton.disabled = false;
+            this.sendButton.textContent = 'Log in';
+            return;
+        }
+
+        const restriction = getChatRestriction(this.roomState, this.userBadges);
+        const slowModeLeft = Math.ceil(
+            (this.slowModeUntil - Date.now()) / 1000
+        );
+
+        this.textInput.disabled = restriction !== null;
+        this.textInput.placeholder =
+            restriction ||
+            (this.roomState.emoteOnly
+                ? 'Send an emote-only message'
+                : 'Send a message');
+        this.sendButton.disabled = restriction !== null || slowModeLeft > 0;
+        this.sendButton.textContent =
+            slowModeLeft > 0 ? `${slowModeLeft}s` : 'Chat';
+
+        if (slowModeLeft > 0) {
+            this.slowModeTimer = setTimeout(this.updateInput.bind(this), 1000);
+        }
+    }
+
+    /**
+     * send on enter, shift + enter is left for the textarea, escape drops the reply.
+     * @param {KeyboardEvent} e
+     */
+    onTextInputKeydown(e) {
+        if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+            e.preventDefault();
+            this.sendMessage();
+        }
+        if (e.key === 'Escape' && this.replyTarget) {
+            e.preventDefault();
+            this.cancelReply();
+        }
+    }
+
+    /**
+     * answer a message with the next one sent.
+     * @param {IRCMessage} ircMessage
+     */
+    startReply(ircMessage) {
+        this.replyTarget = {
+            id: ircMessage.tags['id'],
+            login: ircMessage.prefix.nickname,
+            displayName:
+                ircMessage.tags['display-name'] || ircMessage.prefix.nickname,
+            body: ircMessage.params[1] || '',
+        };
+        this.replyBar.querySelector('.dpip__reply_text').textContent =
+            `Replying to @${this.replyTarget.displayName}`;
+        this.replyBar.hidden = false;
+        this.textInput.focus();
+    }
+
+    cancelReply() {
+        this.replyTarget = null;
+        if (this.replyBar) {
+            this.replyBar.hidden = true;
+        }
+    }
+
+    /**
+     * emit text typed in the input, it is cleared once the message was sent, see `confirmMessageSent`.
+     */
+    sendMessage() {
+        if (this.loginRequired) {
+            this.emit('login');
+            return;
+        }
+
+        const text = this.textInput.value.trim();
+        if (!text || this.sendButton.disabled) {
+            return;
+        }
+        // keep the text so it can be sent once the connection is back
+        if (this.connectionState !== 'live') {
+            this.addNotice('Not connected to chat, your message was not sent');
+            return;
+        }
+
+        this.emit('sendmessage', { text, reply: this.replyTarget });
+    }
+
+    /**
+     * the message emitted by `sendMessage` was handed to the worker, the input can take the next one.
+     */
+    confirmMessageSent() {
+        this.textInput.value = '';
+        this.cancelReply();
+        this.scrollToBottom();
+
+        if (
+            this.roomState.slow > 0 &&
+            !isExemptFromRestrictions(this.userBadges)
+        ) {
+            this.slowModeUntil = Date.now() + this.roomState.slow * 1000;
+            this.updateInput();
+        }
+    }
+
+    /**
+     * @param {BadgeDefinitions} badges
+     */
+    setBadges(badges) {
+        this.badgeDefinitions = badges;
+    }
+
+    /**
+     * forget everything about the current channel before switching to another one.
+     */
+    resetChannel() {
+        this.chatLog.clear();
+        this.chat.replaceChildren();
+        this.isFollowingChat = true;
+        this.unseenCount = 0;
+        this.updateNewMessagesButton();
+        this.filteredCount = 0;
+        this.updateFilteredButton();
+        this.thirdPartyEmotes = new Map();
+        this.badgeDefinitions = {};
+        this.setUserBadges([]);
+        this.slowModeUntil = 0;
+        this.cancelReply();
+        this.userHistory.clear();
+        this.closeUserCard();
+        this.setRoomState(DEFAULT_ROOM_STATE);
+    }
+
+    /**
+     * @param {import('./types.js').Identity} identity
+     */
+    setIdentity(identity) {
+        this.identity = identity;
+        this.highlights.setLogin(identity.anonymous ? null : identity.login);
+    }
+
+    /**
+     * add a chat message to the chat log.
+     * @param {IRCMessage} ircMessage
+     * @param {FilterMatch | null} [filtered] - Why the filters hide the message, if they do.
+     */
+    addMessage(ircMessage, filtered = null) {
+        const entry = ChatLog.createEntry({
+            kind: 'message',
+            id: ircMessage.tags['id'] || '',
+            userId: ircMessage.tags['user-id'] || '',
+            ircMessage,
+            filtered,
+            highlight: filtered ? null : this.highlights.match(ircMessage),
+        });
+        this.appendEntry(entry);
+
+        if (filtered) {
+            this.filteredCount++;
+            this.updateFilteredButton();
+        }
+
+        // the backlog is styled but not announced
+        if (entry.highlight && !entry.history) {
+            this.alertHighlight(entry);
+        }
+    }
+
+    /**
+     * play a sound and, while the chat cannot be seen, ask for a system notification.
+     * @param {ChatEntry} entry
+     */
+    alertHighlight(entry) {
+        const now = Date.now();
+        if (now - this.lastHighlightAlert < this.HIGHLIGHT_ALERT_COOLDOWN) {
+            return;
+        }
+        this.lastHighlightAlert = now;
+
+        const { sound, notifications } = this.settings.highlights;
+        if (sound) {
+            this.playHighlightSound();
+        }
+        if (notifications && this.isChatHidden()) {
+            const { ircMessage } = entry;
+            this.emit('highlight', {
+                title: `${ircMessage.tags['display-name'] || ircMessage.prefix.nickname} in ${ircMessage.params[0]}`,
+                message: ircMessage.params[1] || '',
+            });
+        }
+    }
+
+    /**
+     * the chat is out of sight when the window is minimized or drawn over the video,
+     * which `updateLayout` falls back to when there is no room next to the video.
+     * @returns {boolean}
+     */
+    isChatHidden() {
+        return (
+            this.pipWindow.document.visibilityState === 'hidden' ||
+            this.wrapper.dataset.layout === 'overlay'
+        );
+    }
+
+    /**
+     * a short beep, generated to not ship an audio file.
+     */
+    playHighlightSound() {
+        if (!this.audioContext) {
+            this.audioContext = new this.pipWindow.AudioContext();
         }
+
+        const context = this.audioContext;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, context.currentTime);
+        gain.gain.exponentialRampToValueAtTime(
+            0.001,
+            context.currentTime + 0.3
+        );
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start();
+        oscillator.stop(context.currentTime + 0.3);
     }
 
     /**
-     * create a new element when an ircMessage has arrived.
+     * render a chat message (PRIVMSG or the user part of a USERNOTICE).
      * @param {IRCMessage} ircMessage
+     * @returns {HTMLElement}
      */
-    addMessage(ircMessage) {
+    createMessageElement(ircMessage) {
         const template = this.pipWindow.document.getElementById(
             'dpip__message_template'
         );
         const clone = template.content.cloneNode(true);
+        const element = clone.querySelector('.dpip__message');
+
+        // moderation events refer to messages by these
+        element.dataset.id = ircMessage.tags['id'] || '';
+        element.dataset.userId = ircMessage.tags['user-id'] || '';
+
+        if (
+            this.identity &&
+            ircMessage.tags['user-id'] === this.identity.userId
+        ) {
+            element.classList.add('dpip__message--self');
+        }
+
+        this.renderBadges(
+            element.querySelector('.dpip__message_badges'),
+            ircMessage.badges
+        );
+        element.querySelector('.dpip__message_username').textContent =
+            ircMessage.tags['display-name'];
+        this.renderMessageBody(
+            element.querySelector('.dpip__message_body'),
+            replaceThirdPartyEmotes(
+                tokenizeMessage(ircMessage.params[1] || '', ircMessage.emotes),
+                this.thirdPartyEmotes
+            )
+        );
+        // backlog messages keep the time they were sent at
+        const time = ircMessage.sentAt?.getTime() ?? Date.now();
+        const timestamp = element.querySelector('.dpip__message_timestamp');
+        timestamp.dataset.time = String(time);
+        timestamp.textContent = this.formatTimestamp(time);
+
+        element.querySelector('.dpip__message_username').style.color =
+            ircMessage.tags['color'];
+
+        const replyParent = ircMessage.replyParent;
+        if (replyParent) {
+            element.prepend(this.createReplyHeader(replyParent));
+        }
+        // messages without id (e.g. our own echo) can not be replied to nor moderated
+        if (ircMessage.tags['id']) {
+            const actions = this.pipWindow.document.createElement('span');
+            actions.className = 'dpip__message_actions';
+            actions.append(
+                this.createMessageAction('reply', 'Reply', '\u21a9')
+            );
+            if (!element.classList.contains('dpip__message--self')) {
+                actions.append(
+                    this.createMessageAction('moderate', 'Moderate', '\u22ef')
+                );
+            }
+            element.append(actions);
+        }
+
+        return element;
+    }
+
+    /**
+     * @param {string} action - Handled by `onChatClick`.
+     * @param {string} title
+     * @param {string} label
+     * @returns {HTMLButtonElement}
+     */
+    createMessageAction(action, title, label) {
+        const button = this.pipWindow.document.createElement('button');
+        button.className = 'dpip__message_action';
+        button.dataset.action = action;
+        button.title = title;
+        button.textContent = label;
+        return button;
+    }
+
+    /**
+     * compact "replying to" line above a reply, a click on it shows the parent.
+     * @param {import('./types.js').ReplyParent} parent
+     * @returns {HTMLElement}
+     */
+    createReplyHeader(parent) {
+        const header = this.pipWindow.document.createElement('div');
+        header.className = 'dpip__reply_header';
+        header.dataset.parentId = parent.id;
+        header.textContent = `Replying to @${parent.displayName}: ${parent.body}`;
+        header.title = parent.body;
+        return header;
+    }
+
+    /**
+     * reply actions and reply headers of all messages are handled here.
+     * @param {MouseEvent} e
+     */
+    onChatClick(e) {
+        const target = /** @type {HTMLElement} */ (e.target);
+        const action = /** @type {HTMLElement} */ (
+            target.closest('[data-action]')
+        );
+        if (action) {
+            const element = /** @type {HTMLElement} */ (
+                action.closest('.dpip__message')
+            );
+            const [entry] = this.chatLog.findById(element.dataset.id);
+            if (entry) {
+                this.onMessageAction(action, element, entry);
+            }
+            return;
+        }
+
+        const username = target.closest('.dpip__message_username');
+        if (username) {
+            this.openUserCard(
+                /** @type {HTMLElement} */ (username.closest('.dpip__message'))
+                    .dataset.userId
+            );
+            return;
+        }
+
+        const header = /** @type {HTMLElement} */ (
+            target.closest('.dpip__reply_header')
+        );
+        if (header && !this.scrollToMessage(header.dataset.parentId)) {
+            header.classList.add('dpip__reply_header--missing');
+            header.title = 'Message is no longer in the chat';
+        }
+    }
+
+    /**
+     * @param {HTMLElement} action - The button clicked.
+     * @param {HTMLElement} element - The message it belongs to.
+     * @param {ChatEntry} entry
+     */
+    onMessageAction(action, element, entry) {
+        switch (action.dataset.action) {
+            case 'reply':
+                return this.startReply(entry.ircMessage);
+            case 'moderate':
+                return this.toggleModMenu(element);
+            case 'delete':
+            case 'timeout':
+            case 'ban':
+            case 'unban':
+                this.closeModMenu();
+                element.querySelector('.dpip__message_error')?.remove();
+                this.emit('moderate', {
+                    action: action.dataset.action,
+                    userId: entry.userId,
+                    login:
+                        entry.ircMessage.prefix.nickname ||
+                        entry.ircMessage.tags['login'],
+                    messageId: entry.id,
+                    duration: Number(action.dataset.duration) || undefined,
+                });
+        }
+    }
+
+    /**
+     * open the moderator actions below a message, or close them when already open.
+     * @param {HTMLElement} element
+     */
+    toggleModMenu(element) {
+        const isOpen = this.modMenu?.parentElement === element;
+        this.closeModMenu();
+        if (isOpen) {
+            return;
+        }
+
+        const menu = this.pipWindow.document.createElement('div');
+        menu.className = 'dpip__modmenu';
+        menu.append(
+            this.createMessageAction('delete', 'Delete message', 'Delete'),
+            ...TIMEOUT_PRESETS.map(({ label, duration }) => {
+                const button = this.createMessageAction(
+                    'timeout',
+                    `Time out for ${label}`,
+                    label
+                );
+                button.dataset.duration = String(duration);
+                return button;
+            }),
+            this.createMessageAction('ban', 'Ban permanently', 'Ban'),
+            this.createMessageAction('unban', 'Lift ban or timeout', 'Unban')
+        );
+        element.append(menu);
+        this.modMenu = menu;
+    }
+
+    closeModMenu() {
+        this.modMenu?.remove();
+        this.modMenu = null;
+    }
+
+    /**
+     * show why a moderator action failed next to the message it was taken from.
+     * @param {import('./types.js').ModerationPayload} result
+     */
+    showModerationResult(result) {
+        if (!result.error || !this.chat) {
+            return;
+        }
+
+        const text = `Could not ${MODERATION_LABELS[result.action]} ${result.login}: ${result.error}`;
+        const [entry] = this.chatLog.findById(result.messageId);
+        if (!entry?.element) {
+            this.addNotice(text);
+            return;
+        }
+
+        const element =
+            entry.element.querySelector(
+                `.dpip__message[data-id="${CSS.escape(result.messageId)}"]`
+            ) || entry.element;
+        element.querySelector('.dpip__message_error')?.remove();
+        const error = this.pipWindow.document.createElement('div');
+        error.className = 'dpip__message_error';
+        error.setAttribute('role', 'alert');
+        error.textContent = text;
+        element.append(error);
+    }
+
+    /**
+     * bring a message of the chat log into view, rendering older entries if needed.
+     * @param {string} id
+     * @returns {boolean} - false when the message is not in the chat (anymore).
+     */
+    scrollToMessage(id) {
+        const [entry] = this.chatLog.findById(id);
+        if (!entry || (entry.filtered && !this.showFiltered)) {
+            return false;
+        }
+
+        while (!entry.element) {
+            const renderedCount = this.chatLog.rendered.length;
+            this.renderOlder();
+            if (this.chatLog.rendered.length === renderedCount) {
+                return false;
+            }
+        }
+
+        // looking at an older message, stop following the chat
+        this.isFollowingChat = false;
+        entry.element.scrollIntoView({ block: 'center' });
+        entry.element.classList.remove('dpip__message--flash');
+        // restart the animation when clicked twice
+        void entry.element.offsetWidth;
+        entry.element.classList.add('dpip__message--flash');
+        return true;
+    }
+
+    /**
+     * add subs, gifts, raids and announcements enabled in the settings to the chat log.
+     * @param {IRCMessage} ircMessage
+     */
+    addUserNotice(ircMessage) {
+        const type = getUserNoticeType(ircMessage.tags['msg-id']);
+        if (!this.settings.chat.userNoticeEvents[type]) {
+            return;
+        }
+
+        this.appendEntry(
+            ChatLog.createEntry({
+                kind: 'usernotice',
+                id: ircMessage.tags['id'] || '',
+                userId: ircMessage.tags['user-id'] || '',
+                ircMessage,
+            })
+        );
+    }
+
+    /**
+     * render a user notice as a highlighted card.
+     * @param {IRCMessage} ircMessage
+     * @returns {HTMLElement}
+     */
+    createUserNoticeElement(ircMessage) {
+        const type = getUserNoticeType(ircMessage.tags['msg-id']);
+        const document = this.pipWindow.document;
+        const card = document.createElement('div');
+        card.className = `dpip__usernotice dpip__usernotice--${type}`;
+        card.dataset.id = ircMessage.tags['id'] || '';
+        if (type === 'announcement') {
+            card.dataset.color = (
+                ircMessage.tags['msg-param-color'] || 'PRIMARY'
+            ).toLowerCase();
+        }
+
+        const systemMessage = document.createElement('div');
+        systemMessage.className = 'dpip__usernotice_system';
+        systemMessage.textContent =
+            ircMessage.tags['system-msg'] ||
+            (type === 'announcement' ? 'Announcement' : '');
+        card.appendChild(systemMessage);
+
+        // resubs and announcements can carry a message of the user
+        if (ircMessage.params[1]) {
+            card.appendChild(this.createMessageElement(ircMessage));
+        }
+
+        return card;
+    }
+
+    /**
+     * add a line of text from the chat itself rather than from a user.
+     * @param {string} text
+     */
+    addNotice(text) {
+        this.appendEntry(ChatLog.createEntry({ kind: 'notice', text }));
+    }
+
+    /**
+     * run a callback in the next frame of the PIP window, the tab itself is usually in the background.
+     * @param {FrameRequestCallback} callback
+     */
+    requestFrame(callback) {
+        if (this.pipWindow && !this.pipWindow.closed) {
+            this.pipWindow.requestAnimationFrame(callback);
+        } else {
+            setTimeout(callback, 0);
+        }
+    }
+
+    /**
+     * add several chat entries with a single layout pass, scrolling once after all of them.
+     * @param {() => void} update
+     */
+    batchUpdate(update) {
+        this.isBatching = true;
+        try {
+            update();
+        } finally {
+            this.isBatching = false;
+        }
+
+        if (this.isFollowingChat) {
+            this.scrollToBottom();
+        }
+    }
+
+    /**
+     * mark chat entries added until `endHistory` as backlog.
+     */
+    beginHistory() {
+        this.isReplayingHistory = true;
+        this.historyCount = 0;
+    }
+
+    /**
+     * separate the backlog from the live chat following it.
+     */
+    endHistory() {
+        this.isReplayingHistory = false;
+        if (this.historyCount > 0) {
+            this.addNotice('Live chat');
+        }
+    }
+
+    /**
+     * @param {string} messageId
+     * @returns {boolean} - Whether a message or user notice with this id is in the chat log.
+     */
+    hasMessage(messageId) {
+        return this.chatLog.findById(messageId).length > 0;
+    }
+
+    /**
+     * add an entry to the chat log and render it, the chat only scrolls along while followed.
+     * @param {ChatEntry} entry
+     */
+    appendEntry(entry) {
+        if (this.isReplayingHistory) {
+            entry.history = true;
+            this.historyCount++;
+        }
+
+        this.unrenderEntries(this.chatLog.add(entry));
+        this.chat.appendChild(this.renderEntry(entry));
+        this.userHistory.add(entry);
+        if (entry.userId && entry.userId === this.userCardId) {
+            this.renderUserCard();
+        }
+
+        if (this.isFollowingChat) {
+            if (!this.isBatching) {
+                this.scrollToBottom();
+            }
+        } else if (!entry.filtered || this.showFiltered) {
+            this.unseenCount++;
+            this.updateNewMessagesButton();
+        }
+    }
+
+    /**
+     * @param {ChatEntry} entry
+     * @returns {HTMLElement}
+     */
+    renderEntry(entry) {
+        let element;
+        switch (entry.kind) {
+            case 'message':
+                element = this.createMessageElement(entry.ircMessage);
+                break;
+            case 'usernotice':
+                element = this.createUserNoticeElement(entry.ircMessage);
+                break;
+            case 'notice': {
+                element = this.pipWindow.document.createElement('div');
+                element.className = 'dpip__notice';
+                element.textContent = entry.text;
+                break;
+            }
+        }
+
+        if (entry.history) {
+            element.classList.add('dpip__message--history');
+        }
+        if (entry.filtered) {
+            element.classList.add('dpip__message--filtered');
+            element.title = `Filtered (${entry.filtered.reason}: ${entry.filtered.term})`;
+        }
+        if (
+            entry.ircMessage?.isFirstMessage &&
+            this.settings.filters.firstMessages === 'mark'
+        ) {
+            element.classList.add('dpip__message--first');
+        }
+        if (entry.highlight) {
+            element.classList.add(
+                'dpip__message--highlight',
+                `dpip__message--highlight-${entry.highlight.reason}`
+            );
+        }
+        entry.element = element;
+        if (entry.deleted) {
+            this.renderDeleted(entry);
+        }
+        return element;
+    }
+
+    /**
+     * remove entries from the DOM while keeping what the user looks at in place.
+     * @param {ChatEntry[]} entries
+     */
+    unrenderEntries(entries) {
+        const rendered = entries.filter((entry) => entry.element);
+        if (rendered.length === 0) {
+            return;
+        }
+
+        // measuring forces a layout, only needed when the view has to be kept in place
+        const scrollHeight = this.isFollowingChat ? 0 : this.chat.scrollHeight;
+
+        rendered.forEach((entry) => {
+            entry.element.remove();
+            entry.element = null;
+        });
+
+        if (!this.isFollowingChat) {
+            this.chat.scrollTop -= scrollHeight - this.chat.scrollHeight;
+        }
+    }
+
+    /**
+     * drop the oldest entries from the DOM beyond `MAX_RENDERED`, they stay in the chat log.
+     */
+    trimRendered() {
+        const rendered = this.chatLog.rendered;
+        if (rendered.length > this.MAX_RENDERED) {
+            this.unrenderEntries(
+                rendered.slice(0, rendered.length - this.MAX_RENDERED)
+            );
+        }
+    }
+
+    /**
+     * render entries of the chat log older than the oldest one shown, when the user scrolled up to it.
+     */
+    renderOlder() {
+        const firstRendered = this.chatLog.entries.findIndex(
+            (entry) => entry.element
+        );
+        if (firstRendered <= 0) {
+            return;
+        }
+
+        const older = this.chatLog.entries.slice(
+            Math.max(firstRendered - this.RENDER_OLDER_COUNT, 0),
+            firstRendered
+        );
+        const scrollHeight = this.chat.scrollHeight;
+        this.chat.prepend(...older.map((entry) => this.renderEntry(entry)));
+        this.chat.scrollTop += this.chat.scrollHeight - scrollHeight;
+    }
+
+    /**
+     * follow the chat again, trimming what piled up in the DOM while reading older messages.
+     */
+    scrollToBottom() {
+        if (!this.chat) {
+            return;
+        }
+
+        this.isFollowingChat = true;
+        this.unseenCount = 0;
+        this.updateNewMessagesButton();
+        this.trimRendered();
+        this.chat.scrollTop = this.chat.scrollHeight;
+    }
+
+    /**
+     * pause following the chat when the user scrolls up, resume once back at the bottom.
+     */
+    onChatScroll() {
+        const distanceToBottom =
+            this.chat.scrollHeight -
+            this.chat.scrollTop -
+            this.chat.clientHeight;
+
+        if (distanceToBottom <= this.SCROLL_THRESHOLD) {
+            if (!this.isFollowingChat) {
+                this.scrollToBottom();
+            }
+            return;
+        }
+
+        this.isFollowingChat = false;
+        if (this.chat.scrollTop <= this.SCROLL_THRESHOLD) {
+            this.renderOlder();
+        }
+    }
+
+    /**
+     * reveal or hide again the messages hidden by the filters.
+     */
+    toggleFiltered() {
+        this.showFiltered = !this.showFiltered;
+        this.chat.classList.toggle(
+            'dpip__chat--show-filtered',
+            this.showFiltered
+        );
+        this.updateFilteredButton();
+        if (this.isFollowingChat) {
+            this.scrollToBottom();
+        }
+    }
+
+    updateFilteredButton() {
+        if (!this.filteredButton) {
+            return;
+        }
+
+        this.filteredButton.hidden = this.filteredCount === 0;
+        this.filteredButton.textContent = this.showFiltered
+            ? `Hide ${this.filteredCount} filtered`
+            : `Show ${this.filteredCount} filtered`;
+    }
+
+    updateNewMessagesButton() {
+        if (!this.newMessagesButton) {
+            return;
+        }
+
+        this.newMessagesButton.hidden = this.unseenCount === 0;
+        this.newMessagesButton.textContent =
+            this.unseenCount === 1
+                ? '1 new message'
+                : `${this.unseenCount} new messages`;
+    }
+
+    /**
+     * @param {Settings} settings
+     */
+    applySettings(settings) {
+        const previous = this.settings;
+        this.settings = settings;
+        this.highlights.setRules(settings.highlights);
+        this.options = {
+            ...this.options,
+            width: settings.window.width,
+            height: settings.window.height,
+        };
+
+        // keep the scale picked with alt + 1/2/3 unless the setting itself changed
+        if (settings.chat.emoteScale !== previous.chat.emoteScale) {
+            this.setEmoteScale(settings.chat.emoteScale);
+        }
+
+        if (!this.pipWindow) {
+            return;
+        }
+
+        this.applyChatStyle();
+        this.refreshTimestamps();
+        this.updateLayout();
+        // the actions of the card reflect the highlight and ignore lists
+        if (this.userCardId) {
+            this.renderUserCard();
+        }
+    }
+
+    /**
+     * show what we know about a user, with the messages seen in this session.
+     * @param {string} userId
+     */
+    openUserCard(userId) {
+        if (!this.userHistory.get(userId)) {
+            return;
+        }
+
+        this.userCardId = userId;
+        this.renderUserCard();
+        this.userCard.hidden = false;
+    }
+
+    closeUserCard() {
+        this.userCardId = null;
+        if (this.userCard) {
+            this.userCard.hidden = true;
+        }
+    }
+
+    renderUserCard() {
+        const record = this.userHistory.get(this.userCardId);
+        if (!record) {
+            this.closeUserCard();
+            return;
+        }
+
+        const document = this.pipWindow.document;
+        const entries = record.entries.toArray();
+        // messages carry the newest badges and color, user notices only some of them
+        const latest = (
+            entries.findLast((entry) => entry.kind === 'message') ||
+            entries[entries.length - 1]
+        ).ircMessage;
+
+        const badges = this.userCard.querySelector('.dpip__usercard_badges');
+        badges.replaceChildren();
+        this.renderBadges(badges, latest.badges);
+
+        const name = this.userCard.querySelector('.dpip__usercard_name');
+        const displayName = latest.tags['display-name'] || record.login;
+        name.textContent =
+            displayName.toLowerCase() === record.login.toLowerCase()
+                ? displayName
+                : `${displayName} (${record.login})`;
+        name.style.color = latest.tags['color'] || '';
+
+        const flags = [];
+        if (entries.some((entry) => entry.ircMessage.isFirstMessage)) {
+            flags.push('First time chatter');
+        }
+        if (
+            entries.some(
+                (entry) => entry.ircMessage.tags['returning-chatter'] === '1'
+            )
+        ) {
+            flags.push('Returning chatter');
+        }
+        this.userCard.querySelector('.dpip__usercard_flags').textContent =
+            flags.join(' · ');
+
+        const messages = this.userCard.querySelector(
+            '.dpip__usercard_messages'
+        );
+        messages.replaceChildren(
+            ...entries.map((entry) => {
+                const { ircMessage } = entry;
+                const line = document.createElement('div');
+                line.className = 'dpip__usercard_message';
+                line.classList.toggle('dpip__message--deleted', entry.deleted);
+
+                const time = ircMessage.sentAt?.getTime() ?? Date.now();
+                const timestamp = document.createElement('span');
+                timestamp.className = 'dpip__message_timestamp';
+                timestamp.dataset.time = String(time);
+                timestamp.textContent = this.formatTimestamp(time);
+
+                const body = document.createElement('span');
+                body.className = 'dpip__message_body';
+                const text = ircMessage.params[1];
+                if (text) {
+                    this.renderMessageBody(
+                        body,
+                        replaceThirdPartyEmotes(
+                            tokenizeMessage(text, ircMessage.emotes),
+                            this.thirdPartyEmotes
+                        )
+                    );
+                } else {
+                    // user notices without a message of the user
+                    body.textContent = ircMessage.tags['system-msg'] || '';
+                }
+
+                line.append(timestamp, body);
+                return line;
+            })
+        );
+        messages.scrollTop = messages.scrollHeight;
+
+        const login = record.login.toLowerCase();
+        const isHighlighted = this.settings.highlights.users.some(
+            (user) => user.replace(/^@/, '').toLowerCase() === login
+        );
+        const isIgnored = this.settings.filters.ignoredUsers.some(
+            (user) => user.replace(/^@/, '').toLowerCase() === login
+        );
+        this.userCard.querySelector('[data-action="highlight"]').textContent =
+            isHighlighted ? 'Unhighlight' : 'Highlight';
+        this.userCard.querySelector('[data-action="ignore"]').textContent =
+            isIgnored ? 'Unignore' : 'Ignore';
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    onUserCardClick(e) {
+        const action = /** @type {HTMLElement} */ (e.target).closest(
+            '[data-action]'
+        );
+        const record = this.userHistory.get(this.userCardId);
+        if (!action || !record) {
+            return;
+        }
+
+        switch (/** @type {HTMLElement} */ (action).dataset.action) {
+            case 'mention':
+                this.insertMention(record.login);
+                this.closeUserCard();
+                break;
+            case 'highlight':
+                this.changeSettings({
+                    highlights: {
+                        users: toggleUser(
+                            this.settings.highlights.users,
+                            record.login
+                        ),
+                    },
+                });
+                break;
+            case 'ignore':
+                this.changeSettings({
+                    filters: {
+                        ignoredUsers: toggleUser(
+                            this.settings.filters.ignoredUsers,
+                            record.login
+                        ),
+                    },
+                });
+                break;
+            case 'close':
+                this.closeUserCard();
+                break;
+        }
+    }
+
+    /**
+     * insert `@login` at the cursor of the input.
+     * @param {string} login
+     */
+    insertMention(login) {
+        const input = this.textInput;
+        const before = input.value.slice(0, input.selectionStart);
+        const after = input.value.slice(input.selectionEnd);
+        const mention = `${before && !before.endsWith(' ') ? ' ' : ''}@${login} `;
+        input.value = before + mention + after;
+        input.selectionStart = input.selectionEnd =
+            before.length + mention.length;
+        input.focus();
+    }
+
+    /**
+     * apply font and timestamp visibility settings to the chat.
+     */
+    applyChatStyle() {
+        const { font, timestamps } = this.settings;
+
+        this.chat.style.setProperty('--dpip-font-size', `${font.size}px`);
+        if (font.family) {
+            this.chat.style.setProperty('--dpip-font-family', font.family);
+        } else {
+            this.chat.style.removeProperty('--dpip-font-family');
+        }
+        this.chat.classList.toggle(
+            'dpip__chat--no-timestamps',
+            !timestamps.show
+        );
+    }
+
+    /**
+     * @param {number} time - ms since epoch.
+     * @returns {string}
+     */
+    formatTimestamp(time) {
+        const { format, seconds } = this.settings.timestamps;
+        return new Date(time).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: seconds ? '2-digit' : undefined,
+            hour12: format === '12h',
+        });
+    }
+
+    /**
+     * format rendered timestamps again after the timestamp settings changed.
+     */
+    refreshTimestamps() {
+        this.chat
+            .querySelectorAll('.dpip__message_timestamp')
+            .forEach((element) => {
+                const timestamp = /** @type {HTMLElement} */ (element);
+                timestamp.textContent = this.formatTimestamp(
+                    Number(timestamp.dataset.time)
+                );
+            });
+    }
+
+    /**
+     * a moderator deleted a single message (CLEARMSG).
+     * @param {string} messageId
+     */
+    deleteMessage(messageId) {
+        this.chatLog
+            .findById(messageId)
+            .forEach((entry) => this.markDeleted(entry));
+    }
+
+    /**
+     * a user got timed out or banned (CLEARCHAT with a user).
+     * @param {string} userId
+     */
+    deleteUserMessages(userId) {
+        this.chatLog
+            .findByUser(userId)
+            .forEach((entry) => this.markDeleted(entry));
+    }
+
+    /**
+     * a moderator cleared the whole chat (CLEARCHAT without a user).
+     */
+    clearChat() {
+        // user cards keep what was said, struck out as after CLEARMSG
+        this.userHistory.users.forEach((record) =>
+            record.entries.toArray().forEach((entry) => {
+                entry.deleted = true;
+            })
+        );
+        if (this.userCardId) {
+            this.renderUserCard();
+        }
+
+        this.chatLog.clear();
+        this.chat.replaceChildren();
+        this.filteredCount = 0;
+        this.updateFilteredButton();
+        this.addNotice('Chat was cleared by a moderator');
+    }
+
+    /**
+     * @param {ChatEntry} entry
+     */
+    markDeleted(entry) {
+        if (entry.deleted) {
+            return;
+        }
+
+        entry.deleted = true;
+        if (entry.element) {
+            this.renderDeleted(entry);
+        }
+    }
+
+    /**
+     * hide, strike out or replace the message of a deleted entry depending on the settings.
+     * @param {ChatEntry} entry
+     */
+    renderDeleted(entry) {
+        // the message is the whole element or, for user notices, the part written by the user
+        const element = entry.element.matches('.dpip__message')
+            ? entry.element
+            : /** @type {HTMLElement} */ (
+                  entry.element.querySelector('.dpip__message')
+              );
+        if (!element) {
+            return;
+        }
+
+        switch (this.settings.chat.deletedMessages) {
+            case 'hide':
+                element.hidden = true;
+                break;
+            case 'placeholder': {
+                const body = element.querySelector('.dpip__message_body');
+                body.replaceChildren('<message deleted>');
+                break;
+            }
+        }
+        element.classList.add('dpip__message--deleted');
+    }
+
+    /**
+     * fill badge container with the icons of known badges.
+     * @param {Element} container
+     * @param {Badge[]} badges
+     */
+    renderBadges(container, badges) {
+        badges.forEach((badge) => {
+            const definition = (this.badgeDefinitions[badge.set] || {})[
+                badge.version
+            ];
+            if (!definition) {
+                return;
+            }
+
+            const img = this.pipWindow.document.createElement('img');
+            img.className = 'dpip__badge';
+            img.src = definition.urls[1];
+            img.srcset = `${definition.urls[1]} 1x, ${definition.urls[2]} 2x, ${definition.urls[4]} 4x`;
+            img.alt = definition.title;
+            img.title = getBadgeTooltip(definition, badge);
+            container.appendChild(img);
+        });
+    }
+
+    /**
+     * fill message body with text nodes and emote images.
+     * @param {Element} body
+     * @param {MessageFragment[]} fragments
+     */
+    renderMessageBody(body, fragments) {
+        const document = this.pipWindow.document;
+
+        fragments.forEach((fragment) => {
+            if (fragment.type === 'text') {
+                body.appendChild(document.createTextNode(fragment.text));
+                return;
+            }
 
-        clone.querySelector('.dpip__message_username').textContent =
-            ircMessage.tags['display-name'];
-        clone.querySelector('.dpip__message_body').textContent =
-            ircMessage.params[1];
-        clone.querySelector('.dpip__message_timestamp').textContent =
-            new Date().toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false,
-            });
+            const img = document.createElement('img');
+            img.className = 'dpip__emote';
+            img.src = fragment.urls
+                ? fragment.urls[this.emoteScale]
+                : getEmoteUrl(fragment.id, this.emoteScale);
+            img.alt = fragment.name;
+            img.title = fragment.provider
+                ? `${fragment.name} (${fragment.provider.toUpperCase()})`
+                : fragment.name;
+            img.dataset.emoteId = fragment.id;
+            if (fragment.provider) {
+                img.dataset.emoteProvider = fragment.provider;
+            }
+            body.appendChild(img);
+        });
+    }
+}
 
-        clone.querySelector('.dpip__message_username').style.color =
-            ircMessage.tags['color'];
+/**
+ * Timeouts offered to moderators, duration in seconds.
+ */
+const TIMEOUT_PRESETS = [
+    { label: '1m', duration: 60 },
+    { label: '10m', duration: 600 },
+    { label: '1h', duration: 3600 },
+    { label: '1d', duration: 86400 },
+];
 
-        this.chat.appendChild(clone);
+/**
+ * @type {Record<import('./types.js').ModerationAction, string>}
+ */
+const MODERATION_LABELS = {
+    delete: 'delete the message of',
+    timeout: 'time out',
+    ban: 'ban',
+    unban: 'unban',
+};
 
-        this.chat.scrollTop = this.chat.scrollHeight;
-    }
+/**
+ * add a login to a list of users, or remove it when already listed.
+ * @param {string[]} users
+ * @param {string} login
+ * @returns {string[]}
+ */
+function toggleUser(users, login) {
+    const listed = (user) =>
+        user.replace(/^@/, '').toLowerCase() === login.toLowerCase();
+    return users.some(listed)
+        ? users.filter((user) => !listed(user))
+        : [...users, login];
 }
 
 const PIP_WINDOW_HTML = `
@@ -187,24 +1883,30 @@ const PIP_WINDOW_HTML = `
 
             /* Wrapper */
             .dpip__wrapper {
+                position: relative;
                 display: flex;
-                align-items: center;
-                justify-content: center;
                 height: 100%;
                 width: 100%;
                 flex-direction: row;
             }
 
+            .dpip__wrapper[data-layout='stacked'] {
+                flex-direction: column;
+            }
+
             .dpip__video_container {
-                aspect-ratio: 16 / 9;
-                max-width: 100%;
-                max-height: 100%;
-                width: 100%;
+                flex: 1 1 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                min-width: 0;
+                min-height: 0;
             }
 
             .dpip__video_container video {
                 width: 100%;
                 height: 100%;
+                object-fit: contain;
                 background: inherit;
                 flex-shrink: 0;
                 border: var(--border-width-default) solid var(--color-border-base);
@@ -217,19 +1919,238 @@ const PIP_WINDOW_HTML = `
                 color: inherit;
                 display: flex;
                 overflow: auto;
-                flex-grow: 1;
+                flex: 0 0 auto;
                 min-width: 0;
                 min-height: 0;
-                width: 100%;
-                height: 100%;
                 padding: var(--space-05);
                 border-left: var(--border-width-default) solid var(--color-border-base);
                 border-radius: var(--border-radius-small);
                 flex-direction: column;
             }
 
+            .dpip__wrapper[data-layout='stacked'] .dpip__container {
+                border-left: none;
+                border-top: var(--border-width-default) solid var(--color-border-base);
+            }
+
+            /* Splitter */
+            .dpip__splitter {
+                flex: 0 0 0.6rem;
+                cursor: col-resize;
+                touch-action: none;
+                background: var(--color-background-alt);
+            }
+
+            .dpip__splitter:hover {
+                background: var(--color-border-brand);
+            }
+
+            .dpip__wrapper[data-layout='stacked'] .dpip__splitter {
+                cursor: row-resize;
+            }
+
+            /* Overlay, chat drawn on top of the video with fading messages */
+            .dpip__wrapper[data-layout='overlay'] .dpip__splitter {
+                display: none;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__container {
+                position: absolute;
+                left: 0;
+                bottom: 0;
+                width: 40%;
+                min-width: 20rem;
+                height: 60%;
+                background: transparent;
+                border: none;
+                pointer-events: none;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__chat_area,
+            .dpip__wrapper[data-layout='overlay'] .dpip__input {
+                pointer-events: auto;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__chat {
+                background: transparent;
+                scrollbar-width: none;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__chat > * {
+                background: rgba(0, 0, 0, 0.55);
+                color: #fff;
+                animation: dpip-fade-out 1s ease-in 10s forwards;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__chat_area:hover .dpip__chat > * {
+                animation: none;
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__status,
+            .dpip__wrapper[data-layout='overlay'] .dpip__roomstate,
+            .dpip__wrapper[data-layout='overlay'] .dpip__input {
+                opacity: 0.4;
+                transition: opacity var(--timing-medium);
+            }
+
+            .dpip__wrapper[data-layout='overlay'] .dpip__container:hover > *,
+            .dpip__wrapper[data-layout='overlay'] .dpip__container:focus-within > * {
+                opacity: 1;
+            }
+
+            @keyframes dpip-fade-out {
+                to {
+                    opacity: 0;
+                }
+            }
+
+            /* Connection status */
+            .dpip__status {
+                padding: var(--space-05) var(--space-1);
+                font-size: var(--font-size-7);
+                text-align: center;
+                background: var(--color-background-alt);
+                color: var(--color-text-alt);
+            }
+
+            .dpip__status:empty {
+                display: none;
+            }
+
+            .dpip__status[data-state='failed'] {
+                color: var(--color-text-error);
+            }
+
             /* Chat */
+            .dpip__chat_area {
+                position: relative;
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                min-height: 0;
+            }
+
+            .dpip__newmessages {
+                position: absolute;
+                bottom: var(--space-1);
+                left: 50%;
+                transform: translateX(-50%);
+                padding: var(--space-05) var(--space-1);
+                border: none;
+                border-radius: var(--border-radius-rounded);
+                background: var(--color-background-button-brand);
+                color: var(--color-text-button-brand);
+                font-size: var(--font-size-7);
+                cursor: pointer;
+            }
+
+            .dpip__newmessages[hidden] {
+                display: none;
+            }
+
+            /* User card */
+            .dpip__usercard {
+                position: absolute;
+                top: var(--space-1);
+                left: var(--space-1);
+                right: var(--space-1);
+                max-height: calc(100% - var(--space-2));
+                display: flex;
+                flex-direction: column;
+                gap: var(--space-05);
+                padding: var(--space-1);
+                background: var(--color-background-base);
+                border: var(--border-width-default) solid var(--color-border-base);
+                border-radius: var(--border-radius-medium);
+                box-shadow: var(--shadow-elevation-2);
+                font-size: var(--font-size-7);
+                z-index: 1;
+            }
+
+            .dpip__usercard[hidden] {
+                display: none;
+            }
+
+            .dpip__usercard_header {
+                display: flex;
+                align-items: center;
+            }
+
+            .dpip__usercard_name {
+                flex-grow: 1;
+                font-weight: var(--font-weight-bold);
+                font-size: var(--font-size-6);
+            }
+
+            .dpip__usercard_close {
+                border: none;
+                background: none;
+                color: inherit;
+                cursor: pointer;
+            }
+
+            .dpip__usercard_flags {
+                color: var(--color-text-alt-2);
+            }
+
+            .dpip__usercard_flags:empty {
+                display: none;
+            }
+
+            .dpip__usercard_messages {
+                overflow-y: auto;
+                min-height: 0;
+                overflow-wrap: anywhere;
+            }
+
+            .dpip__usercard_actions {
+                display: flex;
+                gap: var(--space-05);
+            }
+
+            .dpip__usercard_actions button {
+                flex-grow: 1;
+                padding: var(--space-05);
+                border: none;
+                border-radius: var(--button-border-radius-small);
+                background: var(--color-background-button-secondary-default);
+                color: var(--color-text-button-secondary);
+                cursor: pointer;
+            }
+
+            .dpip__filtered {
+                position: absolute;
+                top: var(--space-05);
+                right: var(--space-1);
+                padding: 0 var(--space-05);
+                border: none;
+                border-radius: var(--border-radius-small);
+                background: var(--color-background-alt);
+                color: var(--color-text-alt);
+                font-size: var(--font-size-7);
+                opacity: 0.8;
+                cursor: pointer;
+            }
+
+            .dpip__filtered[hidden] {
+                display: none;
+            }
+
+            .dpip__message--filtered {
+                display: none;
+            }
+
+            .dpip__chat--show-filtered .dpip__message--filtered {
+                display: inline-block;
+                opacity: 0.4;
+            }
+
+            .dpip__message--first {
+                box-shadow: inset 0.3rem 0 0 var(--color-fill-success);
+            }
+
             .dpip__chat {
+                font-family: var(--dpip-font-family, inherit);
                 flex: 1;
                 overflow-y: auto;
                 display: flex;
@@ -262,6 +2183,28 @@ const PIP_WINDOW_HTML = `
                 background: transparent;
             }
 
+            /* Room state */
+            .dpip__roomstate {
+                display: flex;
+                flex-wrap: wrap;
+                gap: var(--space-05);
+                padding: var(--space-05) var(--space-1) 0;
+                background: var(--color-background-input);
+            }
+
+            .dpip__roomstate:empty {
+                display: none;
+            }
+
+            .dpip__roomstate_mode {
+                padding: 0 var(--space-05);
+                border: var(--border-width-default) solid var(--color-border-base);
+                border-radius: var(--border-radius-small);
+                font-size: var(--font-size-7);
+                color: var(--color-text-alt);
+                cursor: help;
+            }
+
             /* Input Section */
             #dpip__input {
                 display: flex;
@@ -328,11 +2271,17 @@ const PIP_WINDOW_HTML = `
             #dpip__sendbutton:hover {
                 background: var(--color-background-button-brand-hover);
             }
+
+            #dpip__textinput:disabled,
+            #dpip__sendbutton:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
             /* Message */
             .dpip__message {
                 overflow-wrap: anywhere;
                 padding: var(--space-05);
-                font-size: var(--font-size-8);
+                font-size: var(--dpip-font-size, var(--font-size-8));
                 vertical-align: baseline;
                 display: inline-block;
                 min-width: 0;
@@ -345,6 +2294,177 @@ const PIP_WINDOW_HTML = `
                 background: var(--color-background-interactable-hover);
             }
 
+            .dpip__message {
+                position: relative;
+            }
+
+            .dpip__message_actions {
+                display: none;
+                position: absolute;
+                top: 0;
+                right: var(--space-05);
+                gap: var(--space-05);
+            }
+
+            .dpip__message:hover > .dpip__message_actions {
+                display: flex;
+            }
+
+            .dpip__message_action[data-action='moderate'] {
+                display: none;
+            }
+
+            .dpip__chat--moderator .dpip__message_action[data-action='moderate'] {
+                display: block;
+            }
+
+            .dpip__message_action {
+                padding: 0 var(--space-05);
+                border: var(--border-width-default) solid var(--color-border-base);
+                border-radius: var(--border-radius-small);
+                background: var(--color-background-base);
+                color: var(--color-text-base);
+                cursor: pointer;
+            }
+
+            .dpip__modmenu {
+                display: flex;
+                flex-wrap: wrap;
+                gap: var(--space-05);
+                margin-top: var(--space-05);
+            }
+
+            .dpip__message_error {
+                margin-top: var(--space-05);
+                color: var(--color-text-error);
+                font-size: var(--font-size-7);
+            }
+
+            .dpip__reply_header {
+                overflow: hidden;
+                white-space: nowrap;
+                text-overflow: ellipsis;
+                font-size: var(--font-size-7);
+                color: var(--color-text-alt-2);
+                cursor: pointer;
+            }
+
+            .dpip__reply_header:hover {
+                color: var(--color-text-base);
+            }
+
+            .dpip__reply_header--missing {
+                cursor: default;
+                font-style: italic;
+            }
+
+            .dpip__message--flash {
+                animation: dpip-flash 1.5s ease-out;
+            }
+
+            @keyframes dpip-flash {
+                from {
+                    background: rgba(145, 71, 255, 0.4);
+                }
+            }
+
+            /* Reply bar */
+            .dpip__reply {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: var(--space-05) var(--space-1);
+                font-size: var(--font-size-7);
+                color: var(--color-text-alt);
+                background: var(--color-background-alt);
+                border-top: var(--border-width-default) solid var(--color-border-base);
+            }
+
+            .dpip__reply[hidden] {
+                display: none;
+            }
+
+            .dpip__reply_cancel {
+                border: none;
+                background: none;
+                color: inherit;
+                cursor: pointer;
+            }
+
+            .dpip__message[hidden] {
+                display: none;
+            }
+
+            .dpip__message--deleted .dpip__message_body {
+                text-decoration: line-through;
+                opacity: 0.5;
+            }
+
+            /* User notices */
+            .dpip__usernotice {
+                --dpip-usernotice-color: var(--color-border-brand);
+                margin: var(--space-05) 0;
+                padding: var(--space-05);
+                border-left: 0.4rem solid var(--dpip-usernotice-color);
+                border-radius: var(--border-radius-small);
+                background: var(--color-background-alt);
+                font-size: var(--font-size-8);
+            }
+
+            .dpip__usernotice_system {
+                font-weight: var(--font-weight-semibold);
+            }
+
+            .dpip__usernotice--raid {
+                --dpip-usernotice-color: var(--color-fill-live);
+            }
+
+            .dpip__usernotice--subgift,
+            .dpip__usernotice--submysterygift {
+                --dpip-usernotice-color: var(--color-fill-success);
+            }
+
+            .dpip__usernotice--announcement[data-color='blue'] {
+                --dpip-usernotice-color: #00d6d6;
+            }
+
+            .dpip__usernotice--announcement[data-color='green'] {
+                --dpip-usernotice-color: #00db84;
+            }
+
+            .dpip__usernotice--announcement[data-color='orange'] {
+                --dpip-usernotice-color: #ffb31a;
+            }
+
+            .dpip__usernotice--announcement[data-color='purple'] {
+                --dpip-usernotice-color: #9147ff;
+            }
+
+            .dpip__notice {
+                padding: var(--space-05);
+                font-size: var(--font-size-7);
+                font-style: italic;
+                color: var(--color-text-alt-2);
+            }
+
+            .dpip__message--self {
+                background: var(--color-background-alt);
+            }
+
+            .dpip__message--highlight {
+                background: rgba(145, 71, 255, 0.2);
+                box-shadow: inset 0.3rem 0 0 var(--color-border-brand);
+            }
+
+            .dpip__message--highlight-mention {
+                background: rgba(235, 4, 0, 0.2);
+                box-shadow: inset 0.3rem 0 0 var(--color-fill-live);
+            }
+
+            .dpip__message--history {
+                opacity: 0.6;
+            }
+
             /* Timestamp */
             .dpip__message_timestamp {
                 color: var(--color-hinted-grey-9);
@@ -352,6 +2472,19 @@ const PIP_WINDOW_HTML = `
                 font-size: var(--font-size-7);
             }
 
+            .dpip__chat--no-timestamps .dpip__message_timestamp {
+                display: none;
+            }
+
+            /* Badges */
+            .dpip__badge {
+                display: inline-block;
+                vertical-align: middle;
+                width: 1.8rem;
+                height: 1.8rem;
+                margin: -0.3rem var(--space-05) 0 0;
+            }
+
             /* Username */
             .dpip__message_username {
                 font-weight: var(--font-weight-bold);
@@ -359,12 +2492,24 @@ const PIP_WINDOW_HTML = `
                 transition: color var(--timing-medium);
             }
 
+            .dpip__message_username {
+                cursor: pointer;
+            }
+
             .dpip__message_username:hover,
             .dpip__message_username:focus {
                 color: var(--color-text-link-hover);
                 text-decoration: underline;
             }
 
+            /* Emotes */
+            .dpip__emote {
+                display: inline-block;
+                vertical-align: middle;
+                height: calc(2.8rem * var(--dpip-emote-scale, 1));
+                margin: -0.5rem 0;
+            }
+
             /* Media Queries */
             @media (max-width: var(--break-sm)) {
                 .dpip__wrapper {
@@ -375,18 +2520,42 @@ const PIP_WINDOW_HTML = `
     </style>
     <template id="dpip__message_template">
         <div class="dpip__message">
-            <span class="dpip__message_timestamp"></span><span class="dpip__message_username"></span><span aria-hidden>:
+            <span class="dpip__message_timestamp"></span><span class="dpip__message_badges"></span><span class="dpip__message_username"></span><span aria-hidden>:
             </span><span class="dpip__message_body"></span>
         </div>
     </template>
     <div class="dpip__wrapper">
         <!-- Video goes here -->
         <div id="dpip__video_container" class="dpip__video_container"></div>
+        <div id="dpip__splitter" class="dpip__splitter" role="separator" title="Drag to resize the chat, alt + L switches layout"></div>
         <div id="dpip__container" class="dpip__container">
             <!-- Your content here -->
-            <div id="dpip__chat" class="dpip__chat"></div>
+            <div id="dpip__status" class="dpip__status" role="status"></div>
+            <div class="dpip__chat_area">
+                <div id="dpip__chat" class="dpip__chat"></div>
+                <button id="dpip__newmessages" class="dpip__newmessages" hidden></button>
+                <button id="dpip__filtered" class="dpip__filtered" hidden></button>
+                <div id="dpip__usercard" class="dpip__usercard" role="dialog" hidden>
+                    <div class="dpip__usercard_header">
+                        <span class="dpip__usercard_badges"></span><span class="dpip__usercard_name"></span>
+                        <button class="dpip__usercard_close" data-action="close" title="Close (esc)">&#x2715;</button>
+                    </div>
+                    <div class="dpip__usercard_flags"></div>
+                    <div class="dpip__usercard_messages"></div>
+                    <div class="dpip__usercard_actions">
+                        <button data-action="mention">Mention</button>
+                        <button data-action="highlight">Highlight</button>
+                        <button data-action="ignore" title="Hide their messages from now on">Ignore</button>
+                    </div>
+                </div>
+            </div>
+            <div id="dpip__roomstate" class="dpip__roomstate"></div>
+            <div id="dpip__reply" class="dpip__reply" hidden>
+                <span class="dpip__reply_text"></span>
+                <button class="dpip__reply_cancel" title="Cancel reply (esc)">&#x2715;</button>
+            </div>
             <div id="dpip__input" class="dpip__input">
-                <textarea id="dpip__textinput" placeholder="Send a message"></textarea>
+                <textarea id="dpip__textinput" placeholder="Send a message" maxlength="500"></textarea>
                 <button id="dpip__sendbutton">Chat</button>
             </div>
         </div>
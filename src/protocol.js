@@ -0,0 +1,302 @@
+/** @typedef {import('./types.js').CommandType} CommandType */
+/** @typedef {import('./types.js').Message} Message */
+
+/**
+ * Version of the messages exchanged between content scripts and the worker, bump it
+ * whenever a command or payload changes in an incompatible way. Content scripts of
+ * tabs opened before an update keep running with the old version.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * ms to wait for the response of a request before giving up.
+ */
+export const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Why a message was rejected or a request failed.
+ * @typedef { "version" | "malformed" | "unknown-command" | "invalid-payload" | "timeout" | "disconnected" | "notice" } ProtocolErrorCode
+ */
+
+/**
+ * Type of a payload field, a trailing `?` allows it to be missing or null.
+ * A list of strings only allows these values.
+ * @typedef {string | string[]} FieldSchema
+ */
+
+/**
+ * Payload schemas of the commands sent by content scripts.
+ * @type {Object.<string, Object.<string, FieldSchema>>}
+ */
+const CONTENT_SCHEMAS = {
+    CSYN: { channel: 'string', anonymous: 'boolean?' },
+    CFIN: {},
+    TFIN: {},
+    CMSG: { text: 'string', reply: 'object?' },
+    CLGN: {},
+    CCHN: { channel: 'string' },
+    CNTF: { title: 'string', message: 'string' },
+    CMOD: {
+        action: ['delete', 'timeout', 'ban', 'unban'],
+        userId: 'string',
+        login: 'string',
+        messageId: 'string?',
+        duration: 'number?',
+    },
+};
+
+/**
+ * Payload schemas of the commands sent by the worker.
+ * TIRC never goes over the port, chat events reach content scripts in TBLG and TBAT.
+ * @type {Object.<string, Object.<string, FieldSchema>>}
+ */
+const WORKER_SCHEMAS = {
+    CACK: {},
+    CFIN: {},
+    TFIN: {},
+    TCON: { identity: 'object' },
+    TERR: {
+        code: 'string',
+        message: 'string',
+        reason: 'string?',
+        command: 'string?',
+    },
+    TEMO: { emotes: 'array' },
+    TBDG: { badges: 'object' },
+    TAUT: { reason: 'string' },
+    TSTA: { state: 'string', retryIn: 'number?' },
+    TRST: { roomState: 'object' },
+    TBLG: { messages: 'array' },
+    TBAT: { messages: 'array', dropped: 'number' },
+    TMOD: {
+        action: ['delete', 'timeout', 'ban', 'unban'],
+        userId: 'string',
+        login: 'string',
+        messageId: 'string?',
+        duration: 'number?',
+        error: 'string?',
+    },
+};
+
+/**
+ * Commands answered by the other side, with the command of the answer.
+ * Failures are answered with TERR instead.
+ * @type {Object.<string, CommandType>}
+ */
+export const RESPONSES = {
+    CSYN: 'CACK',
+    CFIN: 'CFIN',
+    TFIN: 'TFIN',
+    CMOD: 'TMOD',
+};
+
+/**
+ * Error thrown for messages breaking the protocol and failed requests.
+ */
+export class ProtocolError extends Error {
+    /**
+     * @param {ProtocolErrorCode} code
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * @param {string} command
+ * @param {Object} payload
+ * @param {Object.<string, FieldSchema>} schema
+ * @throws {ProtocolError}
+ */
+function validatePayload(command, payload, schema) {
+    if (typeOf(payload) !== 'object') {
+        throw new ProtocolError(
+            'invalid-payload',
+            `${command} payload must be an object, got ${typeOf(payload)}`
+        );
+    }
+
+    Object.entries(schema).forEach(([field, type]) => {
+        const value = payload[field];
+        if (Array.isArray(type)) {
+            if (!type.includes(value)) {
+                throw new ProtocolError(
+                    'invalid-payload',
+                    `${command}.${field} must be one of ${type.join(', ')}, got ${value}`
+                );
+            }
+            return;
+        }
+
+        const optional = type.endsWith('?');
+        if (optional && (value === undefined || value === null)) {
+            return;
+        }
+        const expected = optional ? type.slice(0, -1) : type;
+        if (typeOf(value) !== expected) {
+            throw new ProtocolError(
+                'invalid-payload',
+                `${command}.${field} must be ${expected}, got ${typeOf(value)}`
+            );
+        }
+    });
+}
+
+/**
+ * Check a message received from the other side.
+ *
+ * @param {*} message
+ * @param {"content" | "worker"} sender - Who sent the message.
+ * @returns {Message}
+ * @throws {ProtocolError} when the message breaks the protocol.
+ */
+export function validateMessage(message, sender) {
+    if (typeOf(message) !== 'object' || typeof message.command !== 'string') {
+        throw new ProtocolError('malformed', 'Message without a command');
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+        throw new ProtocolError(
+            'version',
+            `${message.command} uses protocol version ${message.version}, expected ${PROTOCOL_VERSION}`
+        );
+    }
+
+    const schemas = sender === 'content' ? CONTENT_SCHEMAS : WORKER_SCHEMAS;
+    if (!Object.hasOwn(schemas, message.command)) {
+        throw new ProtocolError(
+            'unknown-command',
+            `Unknown command ${message.command} from the ${sender}`
+        );
+    }
+
+    validatePayload(message.command, message.payload, schemas[message.command]);
+    return message;
+}
+
+/**
+ * Build a message, checking the payload before it leaves.
+ *
+ * @param {"content" | "worker"} sender
+ * @param {CommandType} command
+ * @param {Object} [payload]
+ * @param {Object} [ids]
+ * @param {number} [ids.id] - Set on requests, the response refers to it.
+ * @param {number} [ids.replyTo] - Set on responses, the id of the request.
+ * @returns {Message}
+ * @throws {ProtocolError} when the payload does not match the schema of the command.
+ */
+export function createMessage(sender, command, payload = {}, ids = {}) {
+    return validateMessage(
+        { version: PROTOCOL_VERSION, command, payload, ...ids },
+        sender
+    );
+}
+
+/**
+ * Requests waiting for their response, each one fails after a timeout.
+ */
+export class PendingRequests {
+    lastId = 0;
+
+    /**
+     * @type {Map<number, {command: CommandType, resolve: Function, reject: Function, timer: ReturnType<typeof setTimeout>}>}
+     */
+    requests = new Map();
+
+    /**
+     * @param {CommandType} command
+     * @param {number} [timeout]
+     * @returns {{id: number, response: Promise<Message>}}
+     */
+    add(command, timeout = REQUEST_TIMEOUT) {
+        const id = ++this.lastId;
+        const response = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.requests.delete(id);
+                reject(
+                    new ProtocolError(
+                        'timeout',
+                        `No response to ${command} after ${timeout}ms`
+                    )
+                );
+            }, timeout);
+            this.requests.set(id, { command, resolve, reject, timer });
+        });
+        return { id, response };
+    }
+
+    /**
+     * Settle the request a response refers to.
+     *
+     * @param {Message} message
+     * @returns {boolean} - Whether the message was the response to a pending request.
+     */
+    settle(message) {
+        const request = this.requests.get(message.replyTo);
+        if (!request) {
+            return false;
+        }
+
+        this.requests.delete(message.replyTo);
+        clearTimeout(request.timer);
+        if (message.command === 'TERR') {
+            request.reject(
+                new ProtocolError(message.payload.code, message.payload.message)
+            );
+        } else if (message.command !== RESPONSES[request.command]) {
+            request.reject(
+                new ProtocolError(
+                    'unknown-command',
+                    `${request.command} was answered with ${message.command}`
+                )
+            );
+        } else {
+            request.resolve(message);
+        }
+        return true;
+    }
+
+    /**
+     * Fail a request that could not be sent.
+     *
+     * @param {number} id
+     * @param {Error} error
+     */
+    cancel(id, error) {
+        const request = this.requests.get(id);
+        if (!request) {
+            return;
+        }
+
+        this.requests.delete(id);
+        clearTimeout(request.timer);
+        request.reject(error);
+    }
+
+    /**
+     * Fail every pending request, e.g. when the port closed.
+     *
+     * @param {ProtocolError} error
+     */
+    rejectAll(error) {
+        this.requests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.requests.clear();
+    }
+}
@@ -0,0 +1,74 @@
+import IRCMessage from './ircMessage.js';
+
+/**
+ * Settings of the recent messages history source, part of the synced settings.
+ * The url can point to a local stand-in serving the same api.
+ * @typedef {Object} RecentMessagesOptions
+ * @property {boolean} enabled
+ * @property {string} url - Base url, the channel name is appended as last path segment.
+ * @property {number} limit - Maximum number of messages to ask for.
+ */
+
+/** @type {RecentMessagesOptions} */
+export const DEFAULT_RECENT_MESSAGES_OPTIONS = {
+    enabled: false,
+    url: 'https://recent-messages.robotty.de/api/v2/recent-messages',
+    limit: 100,
+};
+
+/**
+ * IRC commands kept as chat history, the same ones forwarded to PIP windows.
+ */
+export const HISTORY_COMMANDS = [
+    'PRIVMSG',
+    'USERNOTICE',
+    'CLEARCHAT',
+    'CLEARMSG',
+];
+
+/**
+ * Fetch chat history of a channel from a recent-messages compatible service.
+ * The service answers `{ messages: string[], error: string | null }` with raw IRC lines.
+ *
+ * @param {string} channel - The channel name.
+ * @param {RecentMessagesOptions} options
+ * @returns {Promise<IRCMessage[]>} - The history, oldest first.
+ */
+export async function fetchRecentMessages(channel, options) {
+    const url = new URL(`${options.url}/${encodeURIComponent(channel)}`);
+    url.searchParams.append('limit', String(options.limit));
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+        throw new Error(
+            `Recent messages request failed with status ${response.status}`
+        );
+    }
+
+    const { messages = [], error } = await response.json();
+    if (error) {
+        throw new Error(`Recent messages error: ${error}`);
+    }
+
+    return messages
+        .map((line) => IRCMessage.parse(line))
+        .filter((ircMessage) => HISTORY_COMMANDS.includes(ircMessage.command));
+}
+
+/**
+ * Identify a chat event to drop duplicates when merging histories. Chat messages and
+ * user notices carry an id, moderation events are told apart by time and parameters.
+ *
+ * @param {{command: string, tags: Object.<string, string>, params: string[]}} payload - An IRC message as JSON.
+ * @returns {string}
+ */
+export function getHistoryKey(payload) {
+    if (payload.tags['id']) {
+        return payload.tags['id'];
+    }
+    return [
+        payload.command,
+        payload.tags['tmi-sent-ts'],
+        ...payload.params,
+    ].join(' ');
+}
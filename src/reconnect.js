@@ -0,0 +1,59 @@
+/**
+ * Connection states reported to the PIP window.
+ * @typedef { "connecting" | "live" | "reconnecting" | "failed" | "closed" } ConnectionState
+ */
+
+/**
+ * Exponential backoff with jitter for reconnecting to twitch.
+ *
+ * Delays double with every failed attempt up to `maxDelay`, a random part keeps
+ * many clients from hammering twitch at the same moment after an outage.
+ */
+export class ReconnectPolicy {
+    /**
+     * @param {Object} [options={}]
+     * @param {number} [options.baseDelay=1000] - Delay before the first retry in ms.
+     * @param {number} [options.maxDelay=60000] - Upper bound of a single delay in ms.
+     * @param {number} [options.maxAttempts=10] - Attempts before giving up.
+     */
+    constructor(options = {}) {
+        const {
+            baseDelay = 1000,
+            maxDelay = 60000,
+            maxAttempts = 10,
+        } = options;
+
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.maxAttempts = maxAttempts;
+        this.attempts = 0;
+    }
+
+    /**
+     * Whether all attempts have been used up.
+     * @type {boolean}
+     */
+    get exhausted() {
+        return this.attempts >= this.maxAttempts;
+    }
+
+    /**
+     * Count an attempt and get how long to wait before making it.
+     * @returns {number} - Delay in ms, between half and the full exponential delay.
+     */
+    nextDelay() {
+        const delay = Math.min(
+            this.maxDelay,
+            this.baseDelay * 2 ** this.attempts
+        );
+        this.attempts++;
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+
+    /**
+     * Start over after a connection succeeded.
+     */
+    reset() {
+        this.attempts = 0;
+    }
+}
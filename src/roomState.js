@@ -0,0 +1,147 @@
+/** @typedef {import('./ircMessage.js').Badge} Badge */
+
+/**
+ * Chat restrictions of a channel as announced by ROOMSTATE.
+ * @typedef {Object} RoomState
+ * @property {boolean} emoteOnly
+ * @property {number} followersOnly - Minutes a user has to follow before chatting, -1 when disabled.
+ * @property {boolean} uniqueChat - Messages must be unique (r9k).
+ * @property {number} slow - Seconds between messages of a user, 0 when disabled.
+ * @property {boolean} subsOnly
+ */
+
+/**
+ * A mode shown above the chat input.
+ * @typedef {Object} RoomStateIndicator
+ * @property {string} label - Short text of the indicator.
+ * @property {string} title - Tooltip explaining the mode.
+ */
+
+/** @type {RoomState} */
+export const DEFAULT_ROOM_STATE = {
+    emoteOnly: false,
+    followersOnly: -1,
+    uniqueChat: false,
+    slow: 0,
+    subsOnly: false,
+};
+
+/**
+ * Badges whose owners are not affected by slow and sub-only mode.
+ */
+const EXEMPT_BADGES = ['broadcaster', 'moderator', 'vip'];
+const SUBSCRIBER_BADGES = ['subscriber', 'founder'];
+const MODERATOR_BADGES = ['broadcaster', 'moderator', 'lead_moderator'];
+
+/**
+ * Apply the tags of a ROOMSTATE. Twitch sends all tags on join and only the changed one
+ * afterwards, so tags missing from the message keep their previous value.
+ *
+ * @param {RoomState} state - The current state.
+ * @param {Object.<string, string>} tags - Tags of the ROOMSTATE message.
+ * @returns {RoomState} - The updated state.
+ */
+export function applyRoomStateTags(state, tags) {
+    const next = { ...state };
+
+    if ('emote-only' in tags) {
+        next.emoteOnly = tags['emote-only'] === '1';
+    }
+    if ('followers-only' in tags) {
+        next.followersOnly = Number(tags['followers-only']);
+    }
+    if ('r9k' in tags) {
+        next.uniqueChat = tags['r9k'] === '1';
+    }
+    if ('slow' in tags) {
+        next.slow = Number(tags['slow']);
+    }
+    if ('subs-only' in tags) {
+        next.subsOnly = tags['subs-only'] === '1';
+    }
+
+    return next;
+}
+
+/**
+ * @param {RoomState} state
+ * @returns {RoomStateIndicator[]}
+ */
+export function getRoomStateIndicators(state) {
+    /** @type {RoomStateIndicator[]} */
+    const indicators = [];
+
+    if (state.slow > 0) {
+        indicators.push({
+            label: `Slow ${state.slow}s`,
+            title: `Users can send a message every ${state.slow} seconds`,
+        });
+    }
+    if (state.followersOnly >= 0) {
+        indicators.push({
+            label:
+                state.followersOnly > 0
+                    ? `Followers ${state.followersOnly}m`
+                    : 'Followers',
+            title:
+                state.followersOnly > 0
+                    ? `Only users following for at least ${state.followersOnly} minutes can chat`
+                    : 'Only followers can chat',
+        });
+    }
+    if (state.subsOnly) {
+        indicators.push({
+            label: 'Sub-only',
+            title: 'Only subscribers can chat',
+        });
+    }
+    if (state.emoteOnly) {
+        indicators.push({
+            label: 'Emote-only',
+            title: 'Messages may only contain emotes',
+        });
+    }
+    if (state.uniqueChat) {
+        indicators.push({
+            label: 'Unique',
+            title: 'Messages must be unique',
+        });
+    }
+
+    return indicators;
+}
+
+/**
+ * @param {Badge[]} badges - Our badges in the channel (USERSTATE).
+ * @returns {boolean} - Whether slow and sub-only mode do not apply to us.
+ */
+export function isExemptFromRestrictions(badges) {
+    return badges.some((badge) => EXEMPT_BADGES.includes(badge.set));
+}
+
+/**
+ * @param {Badge[]} badges - Our badges in the channel (USERSTATE).
+ * @returns {boolean} - Whether we may delete messages and ban users.
+ */
+export function isModerator(badges) {
+    return badges.some((badge) => MODERATOR_BADGES.includes(badge.set));
+}
+
+/**
+ * Tell why we cannot chat at all in the channel. Followers-only is not enforced since
+ * chat does not tell whether we follow, twitch answers with a NOTICE instead.
+ *
+ * @param {RoomState} state
+ * @param {Badge[]} badges - Our badges in the channel (USERSTATE).
+ * @returns {string | null} - The explanation, null if chatting is allowed.
+ */
+export function getChatRestriction(state, badges) {
+    if (
+        state.subsOnly &&
+        !isExemptFromRestrictions(badges) &&
+        !badges.some((badge) => SUBSCRIBER_BADGES.includes(badge.set))
+    ) {
+        return 'Subscriber-only chat, subscribe to send messages';
+    }
+    return null;
+}
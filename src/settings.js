@@ -0,0 +1,516 @@
+import { DEFAULT_RECENT_MESSAGES_OPTIONS } from './recentMessages.js';
+import { DEFAULT_HELIX_URL } from './helix.js';
+import { DEFAULT_PROVIDER_URLS } from './emoteProviders.js';
+/** @typedef {import('./emotes.js').EmoteScale} EmoteScale */
+/** @typedef {import('./pipWindow.js').DeletedMessageMode} DeletedMessageMode */
+/** @typedef {import('./pipWindow.js').UserNoticeType} UserNoticeType */
+/** @typedef {import('./recentMessages.js').RecentMessagesOptions} RecentMessagesOptions */
+/** @typedef {import('./highlights.js').HighlightSettings} HighlightSettings */
+/** @typedef {import('./filters.js').FilterSettings} FilterSettings */
+
+/**
+ * @typedef { "24h" | "12h" } TimestampFormat
+ */
+
+/**
+ * @typedef {Object} WindowSettings
+ * @property {number} width - Initial width of the PIP window in px.
+ * @property {number} height - Initial height of the PIP window in px.
+ */
+
+/**
+ * How video and chat share the PIP window, `auto` picks one from the window shape.
+ * @typedef { "auto" | "side" | "stacked" | "overlay" } LayoutMode
+ */
+
+/**
+ * @typedef {Object} LayoutSettings
+ * @property {LayoutMode} mode
+ * @property {number} chatSize - Percentage of the window taken by the chat when side by side or stacked.
+ * @property {number} minChatSpace - Minimum px left next to / below the video for `auto` to split the window,
+ * the chat is drawn over the video otherwise.
+ */
+
+/** @type {LayoutMode[]} */
+export const LAYOUT_MODES = ['auto', 'side', 'stacked', 'overlay'];
+
+/**
+ * @typedef {Object} FontSettings
+ * @property {string} family - CSS font family of the chat, empty for the twitch font.
+ * @property {number} size - Font size of chat messages in px.
+ */
+
+/**
+ * @typedef {Object} TimestampSettings
+ * @property {boolean} show
+ * @property {TimestampFormat} format
+ * @property {boolean} seconds
+ */
+
+/**
+ * @typedef {Object} ChatSettings
+ * @property {EmoteScale} emoteScale - Initial emote resolution, alt + 1/2/3 switches it per window.
+ * @property {DeletedMessageMode} deletedMessages
+ * @property {Record<UserNoticeType, boolean>} userNoticeEvents
+ */
+
+/**
+ * @typedef {Object} HelixSettings
+ * @property {string} url - Base url of the Helix api, can point to a local mock while developing.
+ */
+
+/**
+ * Base urls of the third party emote apis keyed by provider name, can point to a local fixture server while developing.
+ * @typedef {Record<'bttv' | 'ffz' | '7tv', string>} EmoteProviderSettings
+ */
+
+/**
+ * Settings of the extension, synced between browsers of the user.
+ * @typedef {Object} Settings
+ * @property {number} version - Schema version, see `MIGRATIONS`.
+ * @property {WindowSettings} window
+ * @property {LayoutSettings} layout
+ * @property {FontSettings} font
+ * @property {TimestampSettings} timestamps
+ * @property {ChatSettings} chat
+ * @property {boolean} anonymous - Read chat without logging in.
+ * @property {RecentMessagesOptions} recentMessages
+ * @property {HighlightSettings} highlights
+ * @property {FilterSettings} filters
+ * @property {HelixSettings} helix
+ * @property {EmoteProviderSettings} emoteProviders
+ */
+
+export const SETTINGS_KEY = 'settings';
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Size limit of one `chrome.storage.sync` item (`QUOTA_BYTES_PER_ITEM`), key included.
+ * The limits of lists, texts and urls keep the settings below it.
+ */
+export const SETTINGS_QUOTA_BYTES = 8192;
+
+/**
+ * Limits of the user lists, twitch logins have at most 25 characters.
+ */
+const USER_LIST_LIMITS = { items: 60, length: 25 };
+/**
+ * Limits of the keyword and blocked term lists.
+ */
+const TERM_LIST_LIMITS = { items: 40, length: 40 };
+const MAX_URL_LENGTH = 100;
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    window: {
+        width: 480,
+        height: 300,
+    },
+    layout: {
+        mode: 'auto',
+        chatSize: 35,
+        minChatSpace: 200,
+    },
+    font: {
+        family: '',
+        size: 13,
+    },
+    timestamps: {
+        show: true,
+        format: '24h',
+        seconds: false,
+    },
+    chat: {
+        emoteScale: 1,
+        deletedMessages: 'strike',
+        userNoticeEvents: {
+            sub: true,
+            resub: true,
+            subgift: true,
+            submysterygift: true,
+            raid: true,
+            announcement: true,
+            other: true,
+        },
+    },
+    anonymous: false,
+    recentMessages: DEFAULT_RECENT_MESSAGES_OPTIONS,
+    highlights: {
+        mentions: true,
+        keywords: [],
+        users: [],
+        sound: false,
+        notifications: false,
+    },
+    filters: {
+        ignoredUsers: [],
+        ignoreBots: false,
+        blockedTerms: [],
+        hideCommands: false,
+        firstMessages: 'show',
+    },
+    helix: {
+        url: DEFAULT_HELIX_URL,
+    },
+    emoteProviders: DEFAULT_PROVIDER_URLS,
+};
+
+/**
+ * Upgrades of stored settings, `MIGRATIONS[n]` turns version n into version n + 1.
+ * Unversioned settings count as version 0.
+ * @type {Array<(settings: Object) => Promise<Object>>}
+ */
+const MIGRATIONS = [
+    // options used to be separate keys of `chrome.storage.local`
+    async (settings) => {
+        const { displayOptions, anonymousMode, recentMessages } =
+            await chrome.storage.local.get([
+                'displayOptions',
+                'anonymousMode',
+                'recentMessages',
+            ]);
+
+        return {
+            ...settings,
+            version: 1,
+            anonymous: anonymousMode,
+            chat: displayOptions,
+            recentMessages,
+        };
+    },
+];
+
+/**
+ * Keys of `chrome.storage.local` replaced by the migrations, removed once migrated settings are stored.
+ */
+const LEGACY_KEYS = ['displayOptions', 'anonymousMode', 'recentMessages'];
+
+/**
+ * @param {*} value
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function toNumber(value, fallback, min, max) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(Math.max(Math.round(number), min), max);
+}
+
+/**
+ * @param {*} value
+ * @param {boolean} fallback
+ * @returns {boolean}
+ */
+function toBoolean(value, fallback) {
+    return typeof value === 'boolean' ? value : fallback;
+}
+
+/**
+ * @template {string | number} T
+ * @param {*} value
+ * @param {T[]} allowed
+ * @param {T} fallback
+ * @returns {T}
+ */
+function toEnum(value, allowed, fallback) {
+    return allowed.includes(value) ? value : fallback;
+}
+
+/**
+ * @param {*} value
+ * @param {string} fallback
+ * @returns {string} - An http(s) url without trailing slash.
+ */
+function toUrl(value, fallback) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+        return fallback;
+    }
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return fallback;
+        }
+        return url.toString().replace(/\/+$/, '');
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * @param {*} value
+ * @param {string[]} fallback
+ * @param {{items: number, length: number}} limits
+ * @returns {string[]} - Trimmed, non empty and unique strings, at most `limits.items` of `limits.length` characters each.
+ */
+function toStringList(value, fallback, limits) {
+    if (!Array.isArray(value)) {
+        return fallback;
+    }
+    const strings = value
+        .filter((item) => typeof item === 'string')
+        .map((item) => item.trim().slice(0, limits.length))
+        .filter((item) => item);
+    return [...new Set(strings)].slice(0, limits.items);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Turn anything read from storage into complete settings, invalid or missing values fall back to defaults
+ * and numbers are clamped to their range.
+ *
+ * @param {*} input
+ * @returns {Settings}
+ */
+export function validateSettings(input) {
+    const settings = isPlainObject(input) ? input : {};
+    const section = (name) =>
+        isPlainObject(settings[name]) ? settings[name] : {};
+    const defaults = DEFAULT_SETTINGS;
+
+    const windowSize = section('window');
+    const layout = section('layout');
+    const font = section('font');
+    const timestamps = section('timestamps');
+    const chat = section('chat');
+    const recentMessages = section('recentMessages');
+    const highlights = section('highlights');
+    const filters = section('filters');
+    const helix = section('helix');
+    const emoteProviders = section('emoteProviders');
+    const userNoticeEvents = isPlainObject(chat.userNoticeEvents)
+        ? chat.userNoticeEvents
+        : {};
+
+    return {
+        version: SETTINGS_VERSION,
+        window: {
+            width: toNumber(windowSize.width, defaults.window.width, 200, 3840),
+            height: toNumber(
+                windowSize.height,
+                defaults.window.height,
+                150,
+                2160
+            ),
+        },
+        layout: {
+            mode: toEnum(layout.mode, LAYOUT_MODES, defaults.layout.mode),
+            chatSize: toNumber(
+                layout.chatSize,
+                defaults.layout.chatSize,
+                15,
+                85
+            ),
+            minChatSpace: toNumber(
+                layout.minChatSpace,
+                defaults.layout.minChatSpace,
+                0,
+                1000
+            ),
+        },
+        font: {
+            family:
+                typeof font.family === 'string'
+                    ? font.family.trim().slice(0, 100)
+                    : defaults.font.family,
+            size: toNumber(font.size, defaults.font.size, 8, 32),
+        },
+        timestamps: {
+            show: toBoolean(timestamps.show, defaults.timestamps.show),
+            format: toEnum(
+                timestamps.format,
+                ['24h', '12h'],
+                defaults.timestamps.format
+            ),
+            seconds: toBoolean(timestamps.seconds, defaults.timestamps.seconds),
+        },
+        chat: {
+            emoteScale: toEnum(
+                chat.emoteScale,
+                [1, 2, 3],
+                defaults.chat.emoteScale
+            ),
+            deletedMessages: toEnum(
+                chat.deletedMessages,
+                ['hide', 'strike', 'placeholder'],
+                defaults.chat.deletedMessages
+            ),
+            userNoticeEvents: /** @type {Record<UserNoticeType, boolean>} */ (
+                Object.fromEntries(
+                    Object.entries(defaults.chat.userNoticeEvents).map(
+                        ([type, enabled]) => [
+                            type,
+                            toBoolean(userNoticeEvents[type], enabled),
+                        ]
+                    )
+                )
+            ),
+        },
+        anonymous: toBoolean(settings.anonymous, defaults.anonymous),
+        recentMessages: {
+            enabled: toBoolean(
+                recentMessages.enabled,
+                defaults.recentMessages.enabled
+            ),
+            url: toUrl(recentMessages.url, defaults.recentMessages.url),
+            limit: toNumber(
+                recentMessages.limit,
+                defaults.recentMessages.limit,
+                1,
+                800
+            ),
+        },
+        highlights: {
+            mentions: toBoolean(
+                highlights.mentions,
+                defaults.highlights.mentions
+            ),
+            keywords: toStringList(
+                highlights.keywords,
+                defaults.highlights.keywords,
+                TERM_LIST_LIMITS
+            ),
+            users: toStringList(
+                highlights.users,
+                defaults.highlights.users,
+                USER_LIST_LIMITS
+            ),
+            sound: toBoolean(highlights.sound, defaults.highlights.sound),
+            notifications: toBoolean(
+                highlights.notifications,
+                defaults.highlights.notifications
+            ),
+        },
+        filters: {
+            ignoredUsers: toStringList(
+                filters.ignoredUsers,
+                defaults.filters.ignoredUsers,
+                USER_LIST_LIMITS
+            ),
+            ignoreBots: toBoolean(
+                filters.ignoreBots,
+                defaults.filters.ignoreBots
+            ),
+            blockedTerms: toStringList(
+                filters.blockedTerms,
+                defaults.filters.blockedTerms,
+                TERM_LIST_LIMITS
+            ),
+            hideCommands: toBoolean(
+                filters.hideCommands,
+                defaults.filters.hideCommands
+            ),
+            firstMessages: toEnum(
+                filters.firstMessages,
+                ['show', 'mark', 'hide'],
+                defaults.filters.firstMessages
+            ),
+        },
+        helix: {
+            url: toUrl(helix.url, defaults.helix.url),
+        },
+        emoteProviders: {
+            bttv: toUrl(emoteProviders.bttv, defaults.emoteProviders.bttv),
+            ffz: toUrl(emoteProviders.ffz, defaults.emoteProviders.ffz),
+            '7tv': toUrl(emoteProviders['7tv'], defaults.emoteProviders['7tv']),
+        },
+    };
+}
+
+/**
+ * Merge changes into settings, nested sections are merged rather than replaced.
+ *
+ * @param {Object} settings
+ * @param {Object} changes
+ * @returns {Object}
+ */
+export function mergeSettings(settings, changes) {
+    const merged = { ...settings };
+    Object.entries(changes).forEach(([key, value]) => {
+        merged[key] =
+            isPlainObject(value) && isPlainObject(settings[key])
+                ? mergeSettings(settings[key], value)
+                : value;
+    });
+    return merged;
+}
+
+/**
+ * Read the settings, migrating settings stored by older versions first.
+ *
+ * @returns {Promise<Settings>}
+ */
+export async function loadSettings() {
+    const stored = (await chrome.storage.sync.get(SETTINGS_KEY))[SETTINGS_KEY];
+    const storedVersion = isPlainObject(stored) ? stored.version || 0 : 0;
+
+    let settings = isPlainObject(stored) ? stored : {};
+    for (let version = storedVersion; version < SETTINGS_VERSION; version++) {
+        settings = await MIGRATIONS[version](settings);
+    }
+
+    const validated = validateSettings(settings);
+    if (storedVersion < SETTINGS_VERSION) {
+        await chrome.storage.sync.set({ [SETTINGS_KEY]: validated });
+        await chrome.storage.local.remove(LEGACY_KEYS);
+    }
+    return validated;
+}
+
+/**
+ * Bytes `chrome.storage.sync` counts against `SETTINGS_QUOTA_BYTES`, non ASCII characters take several.
+ *
+ * @param {Settings} settings
+ * @returns {number}
+ */
+export function getSettingsSize(settings) {
+    return new TextEncoder().encode(SETTINGS_KEY + JSON.stringify(settings))
+        .length;
+}
+
+/**
+ * Store changes to the settings, other parts of the extension are told through `watchSettings`.
+ *
+ * @param {Object} changes - Partial settings, e.g. `{ font: { size: 14 } }`.
+ * @returns {Promise<Settings>} - The settings as stored.
+ * @throws {Error} when the settings do not fit in sync storage, the stored ones are left unchanged.
+ */
+export async function saveSettings(changes) {
+    const settings = validateSettings(
+        mergeSettings(await loadSettings(), changes)
+    );
+    if (getSettingsSize(settings) > SETTINGS_QUOTA_BYTES) {
+        throw new Error(
+            'Settings are too large to sync, shorten the lists of users, keywords or blocked words'
+        );
+    }
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    return settings;
+}
+
+/**
+ * Call back whenever the settings change, e.g. from the options page or another browser.
+ *
+ * @param {(settings: Settings, previous: Settings) => void} callback
+ */
+export function watchSettings(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || !(SETTINGS_KEY in changes)) {
+            return;
+        }
+
+        const { newValue, oldValue } = changes[SETTINGS_KEY];
+        callback(validateSettings(newValue), validateSettings(oldValue));
+    });
+}
@@ -1,13 +1,134 @@
 /**
- * @typedef { "TCON" | "TIRC" | "TFIN" | "TERR" } TwitchCommandType
- * @typedef { "CSYN" | "CACK" | "CFIN" } ChromeCommandType
- * @typedef { "CSYN" | "CACK" | "CFIN" | "TCON" | "TIRC" | "TFIN" | "TERR" } CommandType
+ * @typedef { "TCON" | "TIRC" | "TFIN" | "TERR" | "TEMO" | "TBDG" | "TAUT" | "TSTA" | "TRST" | "TBLG" | "TBAT" | "TMOD" } TwitchCommandType
+ * @typedef { "CSYN" | "CACK" | "CFIN" | "CMSG" | "CLGN" | "CCHN" | "CNTF" | "CMOD" } ChromeCommandType
+ * @typedef { "CSYN" | "CACK" | "CFIN" | "CMSG" | "CLGN" | "CCHN" | "CNTF" | "CMOD" | "TCON" | "TIRC" | "TFIN" | "TERR" | "TEMO" | "TBDG" | "TAUT" | "TSTA" | "TRST" | "TBLG" | "TBAT" | "TMOD" } CommandType
  */
 
 /**
+ * Payload schemas and the request / response flow are defined in `protocol.js`.
  * @typedef {Object} Message
+ * @property {number} version - `PROTOCOL_VERSION` of the sender.
  * @property {CommandType} command
  * @property {Object} payload
+ * @property {number} [id] - Set on requests, see `RESPONSES`.
+ * @property {number} [replyTo] - Set on responses, the id of the request.
+ */
+
+/**
+ * Payload of a CSYN command, sent once the PIP window has opened.
+ * @typedef {Object} SyncPayload
+ * @property {string} channel - The channel to join.
+ * @property {boolean} [anonymous] - Join read only without logging in.
+ */
+
+/**
+ * Payload of a CCHN command, the tab navigated to another channel while the PIP window stayed open.
+ * @typedef {Object} ChannelChangePayload
+ * @property {string} channel - The channel to switch to.
+ */
+
+/**
+ * Payload of a CMSG command, text typed in the PIP window to be sent to the joined channel.
+ * @typedef {Object} ChatMessagePayload
+ * @property {string} text
+ * @property {ReplyParent} [reply] - The message answered, if any.
+ */
+
+/**
+ * The message a reply answers, as carried by the `reply-parent-*` tags.
+ * @typedef {Object} ReplyParent
+ * @property {string} id
+ * @property {string} login
+ * @property {string} displayName
+ * @property {string} body
+ */
+
+/**
+ * Payload of a TEMO command, the complete set of third party emotes for the joined channel.
+ * @typedef {Object} EmotesPayload
+ * @property {import('./emoteProviders.js').ThirdPartyEmote[]} emotes
+ */
+
+/**
+ * Payload of a TBDG command, global and channel chat badges of the joined channel.
+ * @typedef {Object} BadgesPayload
+ * @property {import('./badges.js').BadgeDefinitions} badges
+ */
+
+/**
+ * Payload of a TAUT command, sent when no twitch access token could be obtained or checked and the user has to log in.
+ * @typedef {Object} AuthRequiredPayload
+ * @property {string} reason
+ */
+
+/**
+ * The twitch user the worker is logged in as.
+ * @typedef {Object} Identity
+ * @property {string} login - The lowercase login name, also used as IRC nickname.
+ * @property {string} userId - Empty for anonymous sessions.
+ * @property {boolean} anonymous - Whether this is a read only `justinfan` session.
+ */
+
+/**
+ * Payload of a TCON command.
+ * @typedef {Object} ConnectedPayload
+ * @property {Identity} identity
+ */
+
+/**
+ * Payload of a TSTA command, the state of the connection between worker and twitch.
+ * @typedef {Object} ConnectionStatePayload
+ * @property {import('./reconnect.js').ConnectionState} state
+ * @property {number} [retryIn] - ms until the next connection attempt while reconnecting.
+ */
+
+/**
+ * Payload of a TRST command, the chat restrictions of the channel.
+ * @typedef {Object} RoomStatePayload
+ * @property {import('./roomState.js').RoomState} roomState
+ */
+
+/**
+ * Chat events that happened before the port subscribed, oldest first.
+ * @typedef {Object} HistoryPayload
+ * @property {Object[]} messages - IRC messages as JSON.
+ */
+
+/**
+ * TIRC messages are delivered in batches, see `MessageBatcher`.
+ * @typedef {import('./messageBatcher.js').MessageBatch} BatchPayload
+ */
+
+/**
+ * A highlighted message to show as system notification.
+ * @typedef {Object} NotificationPayload
+ * @property {string} title
+ * @property {string} message
+ */
+
+/**
+ * Payload of a TERR command, a NOTICE of twitch or a message the worker rejected.
+ * Sent as response when the rejected message was a request.
+ * @typedef {Object} ErrorPayload
+ * @property {import('./protocol.js').ProtocolErrorCode} code
+ * @property {string} message
+ * @property {string} [reason] - The `msg-id` of twitch notices.
+ * @property {string} [command] - The command rejected.
+ */
+
+/**
+ * @typedef { "delete" | "timeout" | "ban" | "unban" } ModerationAction
+ */
+
+/**
+ * A moderator action asked for in the PIP window (CMOD), echoed back with its outcome (TMOD).
+ * @typedef {Object} ModerationPayload
+ * @property {ModerationAction} action
+ * @property {string} userId - The user acted on.
+ * @property {string} login
+ * @property {string} [messageId] - The message deleted, or the one the action was taken from.
+ * @property {number} [duration] - Timeout in seconds.
+ * @property {string | null} [error] - Why the action failed, null when it succeeded.
  */
 
 // Export something to make this an ESM module
@@ -0,0 +1,87 @@
+import { RingBuffer } from './utils-esm.js';
+/** @typedef {import('./chatLog.js').ChatEntry} ChatEntry */
+
+/**
+ * Default number of messages kept per user.
+ */
+export const USER_HISTORY_SIZE = 50;
+
+/**
+ * Default number of users kept, the ones who chatted least recently are dropped first.
+ */
+export const USER_HISTORY_USERS = 2000;
+
+/**
+ * What was seen of a user in this session.
+ * @typedef {Object} UserRecord
+ * @property {string} userId
+ * @property {string} login
+ * @property {RingBuffer<ChatEntry>} entries - Messages and user notices of the user.
+ */
+
+/**
+ * Chat entries of the session indexed by user, independently of the bounded chat log,
+ * so the user card can show everything a user said.
+ */
+export class UserHistory {
+    /**
+     * Indexed by user id, in the order users last chatted.
+     * @type {Map<string, UserRecord>}
+     */
+    users = new Map();
+
+    /**
+     * @param {number} [size] - The maximum number of entries kept per user.
+     * @param {number} [maxUsers] - The maximum number of users kept.
+     */
+    constructor(size = USER_HISTORY_SIZE, maxUsers = USER_HISTORY_USERS) {
+        this.size = size;
+        this.maxUsers = maxUsers;
+    }
+
+    /**
+     * @param {ChatEntry} entry - A message or user notice.
+     */
+    add(entry) {
+        if (!entry.userId || !entry.ircMessage) {
+            return;
+        }
+
+        let record = this.users.get(entry.userId);
+        if (record) {
+            // move the user to the end, the map keeps the order of insertion
+            this.users.delete(entry.userId);
+        } else {
+            record = {
+                userId: entry.userId,
+                login: '',
+                entries: new RingBuffer(this.size),
+            };
+        }
+        this.users.set(entry.userId, record);
+
+        // user notices carry the login in a tag instead of the prefix
+        record.login =
+            entry.ircMessage.prefix.nickname ||
+            entry.ircMessage.tags['login'] ||
+            record.login;
+        record.entries.push(entry);
+
+        if (this.users.size > this.maxUsers) {
+            const [oldest] = this.users.keys();
+            this.users.delete(oldest);
+        }
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {UserRecord | null}
+     */
+    get(userId) {
+        return this.users.get(userId) || null;
+    }
+
+    clear() {
+        this.users.clear();
+    }
+}
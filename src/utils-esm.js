@@ -98,3 +98,50 @@ export class PublishSubscribeTemplate {
         );
     }
 }
+
+/**
+ * A fixed size buffer that drops its oldest entries once full.
+ *
+ * @template T
+ */
+export class RingBuffer {
+    /**
+     * @param {number} capacity - The maximum number of entries kept.
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        /** @type {T[]} */
+        this.entries = [];
+        this.start = 0;
+    }
+
+    /**
+     * Adds an entry, overwriting the oldest one when the buffer is full.
+     *
+     * @param {T} entry
+     */
+    push(entry) {
+        if (this.entries.length < this.capacity) {
+            this.entries.push(entry);
+            return;
+        }
+
+        this.entries[this.start] = entry;
+        this.start = (this.start + 1) % this.capacity;
+    }
+
+    /**
+     * @returns {T[]} - The entries from oldest to newest.
+     */
+    toArray() {
+        return [
+            ...this.entries.slice(this.start),
+            ...this.entries.slice(0, this.start),
+        ];
+    }
+
+    clear() {
+        this.entries = [];
+        this.start = 0;
+    }
+}
@@ -1,20 +1,159 @@
-import { PublishSubscribeTemplate, getHashParams } from './utils-esm.js';
+import { PublishSubscribeTemplate } from './utils-esm.js';
 import IRCMessage from './ircMessage.js';
 import Logger from './logger.js';
+import { EmoteProviderManager } from './emoteProviders.js';
+import { HelixClient } from './helix.js';
+import { mergeBadgeSets } from './badges.js';
+import { AuthRequiredError, TwitchAuth } from './auth.js';
+import { ReconnectPolicy } from './reconnect.js';
+import { ChannelRegistry } from './channelRegistry.js';
+import { MessageBatcher } from './messageBatcher.js';
+import { applyRoomStateTags } from './roomState.js';
+import {
+    HISTORY_COMMANDS,
+    fetchRecentMessages,
+    getHistoryKey,
+} from './recentMessages.js';
+import { loadSettings, watchSettings } from './settings.js';
+import { createMessage, validateMessage } from './protocol.js';
 /** @typedef {import('./types.js').CommandType} CommandType */
 /** @typedef {import('./types.js').Message} Message */
+/** @typedef {import('./channelRegistry.js').ChannelState} ChannelState */
+
+/** @typedef {import('./reconnect.js').ConnectionState} ConnectionState */
+/** @typedef {import('./types.js').ReplyParent} ReplyParent */
+
+/**
+ * Twitch message ids are UUIDs, anything else must not end up in a tag we send.
+ */
+const MESSAGE_ID_PATTERN = /^[0-9a-f-]{1,64}$/i;
+
+/**
+ * Tags of USERSTATE describing how we appear in chat, copied to our own messages.
+ * Others like `id` (of our previous message) or `emote-sets` do not belong on a PRIVMSG.
+ */
+const OWN_MESSAGE_TAGS = [
+    'badge-info',
+    'badges',
+    'color',
+    'display-name',
+    'mod',
+    'subscriber',
+    'turbo',
+    'user-type',
+];
+
+/**
+ * The protocol only checks that a reply is an object, its fields end up in tags of our message.
+ *
+ * @param {*} reply
+ * @returns {ReplyParent | null} - null when the reply has no valid message id.
+ */
+function toReplyParent(reply) {
+    if (
+        typeof reply !== 'object' ||
+        reply === null ||
+        typeof reply.id !== 'string' ||
+        !MESSAGE_ID_PATTERN.test(reply.id)
+    ) {
+        return null;
+    }
+
+    const toText = (value) => (typeof value === 'string' ? value : '');
+    return {
+        id: reply.id,
+        login: toText(reply.login),
+        displayName: toText(reply.displayName),
+        body: toText(reply.body),
+    };
+}
 
 class WorkerInterfacer extends PublishSubscribeTemplate {
-    /** @type {WebSocket} */
+    /**
+     * The socket that has joined the channels and delivers chat.
+     * @type {WebSocket}
+     */
     socket = null;
+    /**
+     * A socket still authenticating / joining, it replaces `socket` once joined.
+     * @type {WebSocket}
+     */
+    pendingSocket = null;
+    /**
+     * The replaced socket, its close event is expected and ignored.
+     * @type {WebSocket}
+     */
+    retiringSocket = null;
+    /**
+     * Sockets past their login, they only join channels they are told to from then on.
+     * @type {WeakSet<WebSocket>}
+     */
+    registeredSockets = new WeakSet();
+
+    reconnectPolicy = new ReconnectPolicy();
+    /** @type {ReturnType<typeof setTimeout>} */
+    reconnectTimer = null;
+    /**
+     * Set when the socket is closed on purpose and must not be reconnected.
+     */
+    isClosing = false;
+    /** @type {ConnectionState} */
+    connectionState = 'closed';
     clientId = 'znac5nmb20lcql1osiepyv43yuibo2';
     redirectUri = chrome.identity.getRedirectURL('twitch');
-    scope = 'chat:read';
+    // tokens granted before a scope was added fail validation, the user consents again once
+    scope =
+        'chat:read chat:edit moderator:manage:chat_messages moderator:manage:banned_users';
+    auth = new TwitchAuth(this.clientId, this.redirectUri, this.scope);
 
-    /** @type {chrome.runtime.Port} */
-    chromePort = null;
+    /**
+     * User access token of the current session, used for IRC and Helix.
+     * @type {string}
+     */
+    accessToken = null;
+
+    /**
+     * The authenticated twitch user, taken from the token validation.
+     * @type {import('./types.js').Identity}
+     */
+    identity = null;
+
+    /**
+     * Read only session under a `justinfan` nickname, no login required.
+     */
+    anonymous = false;
+
+    /**
+     * Last GLOBALUSERSTATE received, used together with the channel USERSTATE to render
+     * our own messages since twitch never echoes back PRIVMSG sent by us.
+     * @type {IRCMessage}
+     */
+    globalUserState = new IRCMessage();
+
+    /**
+     * Ports of the PIP windows and the channel each of them shows.
+     */
+    channels = new ChannelRegistry();
+
+    /**
+     * Global third party emotes, loaded once and shared by every channel.
+     * @type {Promise<{manager: EmoteProviderManager, emotes: import('./emoteProviders.js').ThirdPartyEmote[]}>}
+     */
+    globalEmotes = null;
+
+    /**
+     * Ports whose backlog is being prepared, live chat events for them are held back
+     * until the backlog has been posted.
+     * @type {Map<chrome.runtime.Port, {channel: ChannelState, queue: Object[]}>}
+     */
+    replays = new Map();
+
+    /**
+     * Chat events waiting to be posted to each port as TBAT.
+     * @type {Map<chrome.runtime.Port, MessageBatcher>}
+     */
+    batchers = new Map();
 
-    isChromeConnected = false;
     isTwitchConnected = false;
 
     logger = new Logger();
@@ -23,6 +162,24 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
         super();
 
         chrome.runtime.onConnect.addListener(this.onChromeConnect.bind(this));
+        watchSettings(this.onSettingsChange.bind(this));
+        chrome.notifications.onClicked.addListener(
+            this.onNotificationClicked.bind(this)
+        );
+
+        this.subscribe('USERSTATE', (irc) => {
+            const channel = this.channels.get(irc.params[0]);
+            if (channel) {
+                channel.userState = irc;
+                // the PIP window needs our badges to know which restrictions apply
+                this.postChannelMessage(channel.name, 'TIRC', irc.toJSON());
+            }
+        });
+
+        // Forward chat messages, moderation and user events to the chrome clients watching the channel
+        HISTORY_COMMANDS.forEach((command) =>
+            this.subscribe(command, (irc) => this.postChatEvent(irc))
+        );
     }
 
     /**
@@ -34,36 +191,16 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
             `expected "client-content" port name but received "${port.name}"`
         );
 
-        // only one connection per chrome client is allowed for this extension to work
-        if (this.isChromeConnected || this.chromePort !== null) {
-            this.logger.warn(
-                'Only one connection per chrome client is allowed, disconnecting from previous'
-            );
-            this.chromePort.disconnect();
-
-            // but it doesn't get called therefore I'll do this.
-            this.onChromeDisconnect(null);
-        }
-
-        console.assert(
-            !this.isChromeConnected && this.chromePort === null,
-            'chrome port should be empty but is still connected to someone.'
-        );
-
-        this.chromePort = port;
-        this.chromePort.onMessage.addListener(this.onChromeMessage.bind(this));
-        this.chromePort.onDisconnect.addListener(
-            this.onChromeDisconnect.bind(this)
+        port.onMessage.addListener((message) =>
+            this.onChromeMessage(message, port)
         );
+        port.onDisconnect.addListener(() => this.onChromeDisconnect(port));
     }
 
     /**
-     * @param {chrome.runtime.Port} e
+     * @param {chrome.runtime.Port} port
      */
-    onChromeDisconnect(e) {
-        this.isChromeConnected = false;
-        this.chromePort = null;
-
+    onChromeDisconnect(port) {
         if (chrome.runtime.lastError) {
             this.logger.error(
                 `Chrome port disconnected due to error: ${chrome.runtime.lastError.message}`
@@ -71,211 +208,922 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
         } else {
             this.logger.info('Chrome port disconnected');
         }
+
+        // tabs can be closed without sending TFIN first
+        this.removePort(port);
     }
 
     /**
      * @param {Message} message
+     * @param {chrome.runtime.Port} port
      */
-    onChromeMessage(message) {
+    onChromeMessage(message, port) {
+        try {
+            validateMessage(message, 'content');
+        } catch (e) {
+            this.logger.error(`Rejected chrome message: ${e.message}`);
+            this.postChromeMessage(
+                port,
+                'TERR',
+                {
+                    code: e.code,
+                    message: e.message,
+                    command: message?.command,
+                },
+                message?.id
+            );
+            return;
+        }
+
         this.logger.log(`Received chrome command: ${message.command}`);
 
         this.emit(message.command);
         switch (message.command) {
             case 'CSYN':
-                return this.handleChromeCSYN(message);
+                return this.handleChromeCSYN(message, port);
             case 'CFIN':
-                return this.handleChromeCFIN(message);
+                return this.handleChromeCFIN(message, port);
+            case 'CMSG':
+                return this.handleChromeCMSG(message, port);
+            case 'CLGN':
+                return this.handleChromeCLGN(message, port);
+            case 'CCHN':
+                return this.handleChromeCCHN(message, port);
+            case 'CNTF':
+                return this.handleChromeCNTF(message, port);
+            case 'CMOD':
+                return this.handleChromeCMOD(message, port);
             case 'TFIN':
-                return this.handleTFIN(message);
+                return this.handleTFIN(message, port);
         }
     }
 
     /**
+     * @param {chrome.runtime.Port} port [description]
      * @param {CommandType} command [description]
-     * @param {Object} payload [description]
+     * @param {Object} [payload] [description]
+     * @param {number} [replyTo] [id of the request this message answers]
      */
-    async postChromeMessage(command, payload) {
-        this.chromePort.postMessage({
-            command: command,
-            payload: payload,
+    postChromeMessage(port, command, payload, replyTo) {
+        if (command === 'TIRC') {
+            this.queueChatEvent(port, payload);
+            return;
+        }
+
+        let message;
+        try {
+            message = createMessage(
+                'worker',
+                command,
+                payload,
+                replyTo === undefined ? {} : { replyTo }
+            );
+        } catch (e) {
+            this.logger.error(`Not sending ${command}: ${e.message}`);
+            // the request fails right away instead of waiting for its timeout
+            if (replyTo !== undefined && command !== 'TERR') {
+                this.postChromeMessage(
+                    port,
+                    'TERR',
+                    { code: e.code, message: e.message, command },
+                    replyTo
+                );
+            }
+            return;
+        }
+
+        try {
+            port.postMessage(message);
+        } catch (e) {
+            this.logger.warn(`Dropping ${command}, chrome port is closed`);
+        }
+    }
+
+    /**
+     * Chat events are not posted one by one, they are held back while the backlog of the
+     * port is prepared and batched afterwards.
+     *
+     * @param {chrome.runtime.Port} port
+     * @param {Object} payload [an IRC message as JSON]
+     */
+    queueChatEvent(port, payload) {
+        const replay = this.replays.get(port);
+        if (replay) {
+            replay.queue.push(payload);
+            return;
+        }
+
+        if (!this.batchers.has(port)) {
+            this.batchers.set(
+                port,
+                new MessageBatcher(
+                    (batch) => this.postChromeMessage(port, 'TBAT', batch),
+                    {
+                        // chat of other users is what a busy channel has plenty of
+                        isDroppable: (message) =>
+                            message.command === 'PRIVMSG' &&
+                            message.tags['user-id'] !== this.identity?.userId,
+                    }
+                )
+            );
+        }
+        this.batchers.get(port).push(payload);
+    }
+
+    /**
+     * Post to every port watching a channel.
+     *
+     * @param {string} channelName [with or without `#`]
+     * @param {CommandType} command [description]
+     * @param {Object} [payload] [description]
+     */
+    postChannelMessage(channelName, command, payload) {
+        const channel = this.channels.get(channelName);
+        if (!channel) {
+            return;
+        }
+        channel.ports.forEach((port) =>
+            this.postChromeMessage(port, command, payload)
+        );
+    }
+
+    /**
+     * Remember a chat event in the history of its channel and post it to the ports watching it.
+     *
+     * @param {IRCMessage} ircMessage
+     */
+    postChatEvent(ircMessage) {
+        const channel = this.channels.get(ircMessage.params[0]);
+        if (!channel) {
+            return;
+        }
+
+        const payload = ircMessage.toJSON();
+        channel.history.push(payload);
+        this.postChannelMessage(channel.name, 'TIRC', payload);
+    }
+
+    /**
+     * Post the backlog of a channel to a port, before any live chat event reaches it.
+     * The backlog is the history kept since joining, preceded by messages from the
+     * recent messages service when it is enabled.
+     *
+     * @param {chrome.runtime.Port} port
+     * @param {ChannelState} channel
+     */
+    async replayHistory(port, channel) {
+        const replay = { channel, queue: [] };
+        this.replays.set(port, replay);
+        // pending events belong to the channel the port showed before
+        this.batchers.get(port)?.clear();
+
+        let recent = [];
+        try {
+            const options = (await loadSettings()).recentMessages;
+            if (options.enabled) {
+                recent = (await fetchRecentMessages(channel.name, options)).map(
+                    (ircMessage) => ircMessage.toJSON()
+                );
+            }
+        } catch (e) {
+            this.logger.warn(
+                `Failed to load recent messages of ${channel.name}: ${e.message}`
+            );
+        }
+
+        // the port switched channel or went away in the meantime
+        if (this.replays.get(port) !== replay) {
+            return;
+        }
+        this.replays.delete(port);
+
+        const kept = channel.history.toArray();
+        const keptKeys = new Set(kept.map(getHistoryKey));
+        const messages = [
+            ...recent.filter(
+                (payload) => !keptKeys.has(getHistoryKey(payload))
+            ),
+            ...kept,
+        ];
+        this.postChromeMessage(port, 'TBLG', { messages });
+
+        // events received while waiting are part of the history already
+        const sentKeys = new Set(messages.map(getHistoryKey));
+        replay.queue
+            .filter(
+                (payload) =>
+                    !HISTORY_COMMANDS.includes(payload.command) ||
+                    !sentKeys.has(getHistoryKey(payload))
+            )
+            .forEach((payload) =>
+                this.postChromeMessage(port, 'TIRC', payload)
+            );
+    }
+
+    /**
+     * Post to every connected port.
+     *
+     * @param {CommandType} command [description]
+     * @param {Object} [payload] [description]
+     */
+    broadcastChromeMessage(command, payload) {
+        this.channels.ports.forEach((port) =>
+            this.postChromeMessage(port, command, payload)
+        );
+    }
+
+    /**
+     * @param {Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    handleChromeCSYN(message, port) {
+        /** @type {import('./types.js').SyncPayload} */
+        const payload = message.payload;
+        const isFirstPort = this.channels.ports.length === 0;
+
+        this.logger.info('Chrome port connected!');
+
+        this.postChromeMessage(port, 'CACK', {}, message.id);
+
+        if (isFirstPort) {
+            const { channel } = this.channels.add(port, payload.channel);
+            this.replayHistory(port, channel);
+            this.logger.info(`Connecting to twitch channel ${payload.channel}`);
+            this.anonymous = payload.anonymous === true;
+            this.isClosing = false;
+            this.reconnectPolicy.reset();
+            clearTimeout(this.reconnectTimer);
+            this.setConnectionState('connecting');
+            this.connectTwitch();
+            return;
+        }
+
+        // the connection is shared, bring the new port up to date
+        this.postChromeMessage(port, 'TSTA', {
+            state: this.connectionState,
         });
+        if (this.isTwitchConnected) {
+            this.postChromeMessage(port, 'TCON', { identity: this.identity });
+        }
+        this.subscribePort(port, payload.channel);
+
+        // a logged in port lifts an anonymous connection
+        if (this.anonymous && payload.anonymous !== true) {
+            this.handleChromeCLGN(message, port);
+        }
     }
 
     /**
+     * [switch the channel of a port whose tab navigated elsewhere]
+     *
      * @param {Message} message
+     * @param {chrome.runtime.Port} port
      */
-    handleChromeCSYN(message) {
-        console.assert(
-            this.socket === null || this.socket.readyState === WebSocket.CLOSED,
-            'Expected socket to twitch to be empty, but something is still open'
+    handleChromeCCHN(message, port) {
+        /** @type {import('./types.js').ChannelChangePayload} */
+        const payload = message.payload;
+        const current = this.channels.getByPort(port);
+        if (!current || current.name === payload.channel.toLowerCase()) {
+            return;
+        }
+
+        this.logger.info(
+            `Switching port from ${current.name} to ${payload.channel}`
         );
+        this.subscribePort(port, payload.channel);
+    }
 
-        this.isChromeConnected = true;
-        this.logger.info('Chrome port connected!');
+    /**
+     * Tie a port to a channel on the live connection, joining / leaving channels as needed.
+     *
+     * @param {chrome.runtime.Port} port
+     * @param {string} channelName
+     */
+    subscribePort(port, channelName) {
+        const removed = this.channels.remove(port);
+        if (removed && removed.isEmpty) {
+            this.part(removed.channel);
+        }
+
+        const { channel, isNew } = this.channels.add(port, channelName);
+        this.replayHistory(port, channel);
+        if (isNew) {
+            // a socket still logging in joins every channel of the registry afterwards
+            this.getJoinedSockets().forEach((socket) =>
+                this.join(socket, [channel])
+            );
+            return;
+        }
+
+        this.postChromeMessage(port, 'TRST', { roomState: channel.roomState });
+        if (channel.userState.command) {
+            this.postChromeMessage(port, 'TIRC', channel.userState.toJSON());
+        }
+        if (channel.emotes) {
+            this.postChromeMessage(port, 'TEMO', channel.emotes);
+        }
+        if (channel.badges) {
+            this.postChromeMessage(port, 'TBDG', channel.badges);
+        }
+    }
+
+    /**
+     * Untie a port from its channel, leave the channel once nobody watches it and
+     * close the connection once no port is left.
+     *
+     * @param {chrome.runtime.Port} port
+     */
+    removePort(port) {
+        this.replays.delete(port);
+        this.batchers.get(port)?.clear();
+        this.batchers.delete(port);
+        const removed = this.channels.remove(port);
+        if (!removed) {
+            return;
+        }
+
+        if (removed.isEmpty) {
+            this.part(removed.channel);
+        }
+
+        if (this.channels.ports.length === 0) {
+            this.disconnectTwitch();
+        }
+    }
+
+    /**
+     * Load BTTV / FFZ / 7TV emotes of a channel once ROOMSTATE told its id, merged with the global sets.
+     *
+     * @param {ChannelState} channel
+     */
+    async loadThirdPartyEmotes(channel) {
+        if (!this.globalEmotes) {
+            const globalEmotes = loadSettings().then(
+                async ({ emoteProviders }) => {
+                    const manager = new EmoteProviderManager(emoteProviders);
+                    return { manager, emotes: await manager.loadGlobal() };
+                }
+            );
+            // try again with the next channel instead of failing for good
+            globalEmotes.catch(() => {
+                if (this.globalEmotes === globalEmotes) {
+                    this.globalEmotes = null;
+                }
+            });
+            this.globalEmotes = globalEmotes;
+        }
+
+        try {
+            const { manager, emotes: globalEmotes } = await this.globalEmotes;
+            const channelEmotes = await manager.loadChannel({
+                login: channel.name,
+                id: channel.roomId,
+            });
 
-        // TODO: this should be somehow better handled
-        this.channel = message.payload.channel;
-
-        // subscribe to an event when connection with twitch has been successfully established
-        // TODO: I believe there should be an event for state when connection was wrong
-        this.logger.info(`Connecting to twitch channel ${this.channel}`);
-        this.subscribe(
-            'GLOBALUSERSTATE',
-            this.twitchConnectedCallback.bind(this),
-            {
-                once: true,
+            channel.emotes = { emotes: [...globalEmotes, ...channelEmotes] };
+            this.postChannelMessage(channel.name, 'TEMO', channel.emotes);
+        } catch (e) {
+            this.logger.error(
+                `Failed to load emotes of ${channel.name}: ${e.message}`
+            );
+        }
+    }
+
+    /**
+     * @returns {Promise<HelixClient>} - A client for the logged in user and the configured base url.
+     */
+    async createHelixClient() {
+        const { helix } = await loadSettings();
+        return new HelixClient(this.clientId, this.accessToken, helix.url);
+    }
+
+    /**
+     * Load global and channel chat badges from Helix once ROOMSTATE told the id of the channel.
+     *
+     * @param {ChannelState} channel
+     */
+    async loadChatBadges(channel) {
+        if (!this.accessToken) {
+            this.logger.warn('Chat badges require a logged in user');
+            return;
+        }
+
+        try {
+            const helix = await this.createHelixClient();
+            const [globalSets, channelSets] = await Promise.all([
+                helix.getGlobalChatBadges(),
+                helix.getChannelChatBadges(channel.roomId),
+            ]);
+
+            channel.badges = {
+                badges: mergeBadgeSets(globalSets, channelSets),
+            };
+            this.postChannelMessage(channel.name, 'TBDG', channel.badges);
+        } catch (e) {
+            this.logger.error(
+                `Failed to load chat badges of ${channel.name}: ${e.message}`
+            );
+        }
+    }
+
+    /**
+     * Badges are skipped while anonymous, load them for channels whose id is known once logged in.
+     */
+    loadMissingChatBadges() {
+        this.channels.all
+            .filter((channel) => channel.roomId && !channel.badges)
+            .forEach((channel) => this.loadChatBadges(channel));
+    }
+
+    /**
+     * [the chrome client is done with its port, e.g. after twitch closed for good]
+     *
+     * @param{Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    handleChromeCFIN(message, port) {
+        this.removePort(port);
+        this.postChromeMessage(port, 'CFIN', {}, message.id);
+    }
+
+    /**
+     * [send a chat message typed in pip view to the channel of the port]
+     *
+     * @param{Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    handleChromeCMSG(message, port) {
+        /** @type {import('./types.js').ChatMessagePayload} */
+        const payload = message.payload;
+        const channel = this.channels.getByPort(port);
+        // IRC messages are line based, so newlines would let the text inject extra commands
+        const text = (payload.text || '').replace(/[\r\n]+/g, ' ').trim();
+        if (!text || !channel) {
+            return;
+        }
+
+        if (!this.isTwitchConnected) {
+            this.logger.warn(
+                'Cannot send a chat message, twitch is not connected'
+            );
+            return;
+        }
+
+        if (this.identity.anonymous) {
+            this.logger.warn('Cannot send a chat message while anonymous');
+            return;
+        }
+
+        const reply = toReplyParent(payload.reply);
+        // built first, a message that cannot be shown is not sent either
+        const ownMessage = this.createOwnMessage(channel, text, reply);
+        const tags = reply ? `@reply-parent-msg-id=${reply.id} ` : '';
+        this.send(`${tags}PRIVMSG #${channel.name} :${text}`);
+
+        this.postChatEvent(ownMessage);
+    }
+
+    /**
+     * [notify about a highlighted message while the pip chat is hidden]
+     *
+     * @param{Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    handleChromeCNTF(message, port) {
+        /** @type {import('./types.js').NotificationPayload} */
+        const payload = message.payload;
+        const tab = port.sender?.tab;
+
+        // the id remembers the tab to bring it up on click
+        chrome.notifications.create(`highlight:${tab?.id}:${Date.now()}`, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/socket-active.png'),
+            title: payload.title,
+            message: payload.message,
+        });
+    }
+
+    /**
+     * [delete a message, time out, ban or unban a user of the channel of the port through Helix]
+     *
+     * @param{Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    async handleChromeCMOD(message, port) {
+        /** @type {import('./types.js').ModerationPayload} */
+        const payload = message.payload;
+        const channel = this.channels.getByPort(port);
+        if (!channel) {
+            return;
+        }
+
+        let error = null;
+        try {
+            if (!this.accessToken || this.identity.anonymous) {
+                throw new Error('Log in to moderate');
+            }
+            if (!channel.roomId) {
+                throw new Error('The channel is not joined yet');
+            }
+
+            const helix = await this.createHelixClient();
+            const { roomId } = channel;
+            const moderatorId = this.identity.userId;
+            switch (payload.action) {
+                case 'delete':
+                    await helix.deleteChatMessage(
+                        roomId,
+                        moderatorId,
+                        payload.messageId
+                    );
+                    break;
+                case 'timeout':
+                    await helix.banUser(
+                        roomId,
+                        moderatorId,
+                        payload.userId,
+                        payload.duration
+                    );
+                    break;
+                case 'ban':
+                    await helix.banUser(roomId, moderatorId, payload.userId);
+                    break;
+                case 'unban':
+                    await helix.unbanUser(roomId, moderatorId, payload.userId);
+                    break;
+                default:
+                    throw new Error(`Unknown action ${payload.action}`);
             }
+        } catch (e) {
+            this.logger.warn(
+                `Moderation ${payload.action} in ${channel.name} failed: ${e.message}`
+            );
+            error = e.message;
+        }
+
+        // the chat itself shows the outcome through CLEARMSG / CLEARCHAT
+        this.postChromeMessage(port, 'TMOD', { ...payload, error }, message.id);
+    }
+
+    /**
+     * @param {string} notificationId
+     */
+    onNotificationClicked(notificationId) {
+        const [kind, tabId] = notificationId.split(':');
+        chrome.notifications.clear(notificationId);
+        if (kind !== 'highlight' || !Number(tabId)) {
+            return;
+        }
+
+        chrome.tabs.get(Number(tabId)).then(
+            (tab) => {
+                chrome.tabs.update(tab.id, { active: true });
+                chrome.windows.update(tab.windowId, { focused: true });
+            },
+            () => this.logger.warn('Highlighted tab is gone')
         );
+    }
+
+    /**
+     * [upgrade an anonymous session, the anonymous socket keeps delivering chat until the new one joined]
+     *
+     * @param{Message} message
+     * @param {chrome.runtime.Port} port
+     */
+    handleChromeCLGN(message, port) {
+        if (!this.anonymous) {
+            return;
+        }
+
+        this.logger.info('Upgrading anonymous session to a logged in one');
+        this.anonymous = false;
         this.connectTwitch();
+    }
 
-        this.postChromeMessage('CACK');
+    /**
+     * [switch between an anonymous and a logged in session when changed in the options]
+     *
+     * @param {import('./settings.js').Settings} settings
+     * @param {import('./settings.js').Settings} previous
+     */
+    onSettingsChange(settings, previous) {
+        // emotes of the next channel come from the new urls
+        if (
+            JSON.stringify(settings.emoteProviders) !==
+            JSON.stringify(previous.emoteProviders)
+        ) {
+            this.globalEmotes = null;
+        }
+
+        if (
+            settings.anonymous === previous.anonymous ||
+            settings.anonymous === this.anonymous ||
+            this.channels.ports.length === 0
+        ) {
+            return;
+        }
+
+        this.logger.info(
+            `Switching to ${settings.anonymous ? 'an anonymous' : 'a logged in'} session`
+        );
+        this.anonymous = settings.anonymous;
+        this.connectTwitch();
     }
 
     /**
-     * [handle closing socket session when chrome client has closed pip view]
+     * Build PRIVMSG the way twitch would have delivered it to other chatters.
      *
-     * @param{Message} message
+     * @param {ChannelState} channel [description]
+     * @param {string} text [description]
+     * @param {ReplyParent} [reply] [the message answered]
+     * @returns {IRCMessage}
      */
-    handleChromeCFIN(message) {
-        this.postChromeMessage('CFIN');
+    createOwnMessage(channel, text, reply = null) {
+        const ircMessage = new IRCMessage();
+        const sentTimestamp = String(Date.now());
+
+        ircMessage.command = 'PRIVMSG';
+        const userState = {
+            ...this.globalUserState.tags,
+            ...channel.userState.tags,
+        };
+        OWN_MESSAGE_TAGS.filter((key) => key in userState).forEach((key) =>
+            ircMessage.setTag(key, userState[key])
+        );
+        ircMessage.setTag('user-id', this.identity.userId);
+        ircMessage.setTag('tmi-sent-ts', sentTimestamp);
+        if (reply) {
+            ircMessage.setTag('reply-parent-msg-id', reply.id);
+            ircMessage.setTag('reply-parent-user-login', reply.login);
+            ircMessage.setTag('reply-parent-display-name', reply.displayName);
+            ircMessage.setTag('reply-parent-msg-body', reply.body);
+        }
+        ircMessage.prefix.nickname = this.identity.login;
+        ircMessage.params = [`#${channel.name}`, text];
+
+        return ircMessage;
     }
 
     /**
-     * [handle closing socket session when chrome client has closed pip view]
+     * [handle chrome client closing its pip view, the connection stays up for other ports]
      *
      * @param{Message} message
+     * @param {chrome.runtime.Port} port
      */
-    handleTFIN(message) {
-        console.assert(
-            this.socket != null && this.socket.readyState === WebSocket.OPEN,
-            'Expected socket to be open, but the socket is either not there or already closed'
-        );
+    handleTFIN(message, port) {
+        this.removePort(port);
+        this.postChromeMessage(port, 'TFIN', {}, message.id);
+    }
+
+    /**
+     * Close the connection to twitch for good, nobody is watching anymore.
+     */
+    disconnectTwitch() {
+        this.logger.info('No chrome client left, closing twitch connection');
+        this.isClosing = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.pendingSocket) {
+            this.pendingSocket.close();
+            this.pendingSocket = null;
+        }
 
-        this.part();
+        if (this.socket === null) {
+            // nothing to close while waiting for a reconnect
+            this.connectionState = 'closed';
+            return;
+        }
 
         this.socket.close();
     }
 
     /**
-     * Establish a connection between service worker and Twitch IRC
+     * Open a new socket to Twitch IRC. It stays pending until it has joined the channels,
+     * the previous socket (if any) keeps delivering chat until then.
      */
     connectTwitch() {
         this.logger.info('Setup socket connection with twitch');
 
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.close();
+        if (this.pendingSocket) {
+            this.pendingSocket.close();
         }
 
-        this.socket = new WebSocket('wss://irc-ws.chat.twitch.tv:443');
-        this.socket.addEventListener('open', this.onSocketOpen.bind(this));
-        this.socket.addEventListener('close', this.onSocketClose.bind(this));
-        this.socket.addEventListener(
-            'message',
-            this.onSocketMessage.bind(this)
+        const socket = new WebSocket('wss://irc-ws.chat.twitch.tv:443');
+        socket.addEventListener('open', (e) => this.onSocketOpen(socket, e));
+        socket.addEventListener('close', (e) => this.onSocketClose(socket, e));
+        socket.addEventListener('message', (e) =>
+            this.onSocketMessage(socket, e)
         );
-        this.socket.addEventListener('error', this.onSocketError.bind(this));
+        socket.addEventListener('error', this.onSocketError.bind(this));
+
+        this.pendingSocket = socket;
     }
 
     /**
-     * @param {IRCMessage} ircMessage [description]
+     * Make the pending socket the live one once it has joined and drop the previous one.
      */
-    twitchConnectedCallback(ircMessage) {
+    promotePendingSocket() {
+        const previousSocket = this.socket;
+
+        this.socket = this.pendingSocket;
+        this.pendingSocket = null;
         this.isTwitchConnected = true;
+        this.reconnectPolicy.reset();
         this.logger.info('Twitch connected!');
 
-        this.postChromeMessage('TCON');
+        if (previousSocket) {
+            this.retiringSocket = previousSocket;
+            previousSocket.close();
+        }
 
-        // Forward all chat messages to chrome client
-        this.logger.info('Starting to forward all PRIVMSG to chrome client');
-        this.subscribe('PRIVMSG', (irc) =>
-            this.postChromeMessage('TIRC', irc.toJSON())
-        );
+        this.setConnectionState('live');
+        this.broadcastChromeMessage('TCON', { identity: this.identity });
+    }
 
-        this.join();
+    /**
+     * Wait with backoff before connecting again, gives up after too many attempts.
+     */
+    scheduleReconnect() {
+        if (this.reconnectPolicy.exhausted) {
+            this.logger.error('Giving up reconnecting to twitch');
+            this.setConnectionState('failed');
+            this.broadcastChromeMessage('TFIN');
+            return;
+        }
+
+        const delay = this.reconnectPolicy.nextDelay();
+        this.logger.warn(`Reconnecting to twitch in ${delay}ms`);
+        this.setConnectionState('reconnecting', delay);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.setConnectionState('connecting');
+            this.connectTwitch();
+        }, delay);
     }
 
-    oauth() {
-        this.logger.info('Setting up 2oath page');
+    /**
+     * @param {ConnectionState} state
+     * @param {number} [retryIn] - ms until the next attempt, only for `reconnecting`.
+     */
+    setConnectionState(state, retryIn) {
+        this.connectionState = state;
+        this.broadcastChromeMessage('TSTA', { state, retryIn });
+    }
 
-        let authUrl = new URL('https://id.twitch.tv/oauth2/authorize');
-        const state = crypto.randomUUID();
+    /**
+     * @param {IRCMessage} ircMessage [description]
+     */
+    handleGLOBALUSERSTATE(ircMessage) {
+        this.globalUserState = ircMessage;
+    }
 
-        authUrl.searchParams.append('response_type', 'token');
-        authUrl.searchParams.append('client_id', this.clientId);
-        authUrl.searchParams.append('redirect_uri', this.redirectUri);
-        authUrl.searchParams.append('scope', this.scope);
-        authUrl.searchParams.append('state', state);
+    /**
+     * End of MOTD is the last message of the login, anonymous logins never get a GLOBALUSERSTATE.
+     *
+     * @param {IRCMessage} ircMessage [description]
+     * @param {WebSocket} socket [the socket that has logged in]
+     */
+    handleEndOfMOTD(ircMessage, socket) {
+        this.registeredSockets.add(socket);
+        this.join(socket);
+    }
 
-        // store generate state
-        chrome.storage.local.set({ oauth_state: state });
+    /**
+     * @param {IRCMessage} ircMessage [description]
+     * @param {WebSocket} socket [description]
+     */
+    handleJOIN(ircMessage, socket) {
+        const isOwnJoin =
+            this.identity && ircMessage.prefix.nickname === this.identity.login;
+        if (isOwnJoin && socket === this.pendingSocket) {
+            this.promotePendingSocket();
+        }
+    }
+
+    /**
+     * Track chat restrictions of a channel. The first ROOMSTATE also tells the channel id,
+     * needed to load emotes and badges.
+     *
+     * @param {IRCMessage} ircMessage [description]
+     */
+    handleROOMSTATE(ircMessage) {
+        const channel = this.channels.get(ircMessage.params[0]);
+        if (!channel) {
+            return;
+        }
 
-        return chrome.identity.launchWebAuthFlow({
-            url: authUrl.toString(),
-            interactive: true,
+        channel.roomState = applyRoomStateTags(
+            channel.roomState,
+            ircMessage.tags
+        );
+        this.postChannelMessage(channel.name, 'TRST', {
+            roomState: channel.roomState,
         });
+
+        const roomId = ircMessage.tags['room-id'];
+        if (!roomId || channel.roomId === roomId) {
+            return;
+        }
+
+        channel.roomId = roomId;
+        this.loadThirdPartyEmotes(channel);
+        this.loadChatBadges(channel);
     }
 
     /**
+     * @param {WebSocket} socket [description]
      * @param {MessageEvent} e [description]
      */
-    onSocketMessage(e) {
+    onSocketMessage(socket, e) {
         const delimiter = '\r\n';
         e.data
             .trim()
             .split(delimiter)
-            .forEach((line) => this.onIRCMessage(IRCMessage.parse(line)));
+            .forEach((line) =>
+                this.onIRCMessage(IRCMessage.parse(line), socket)
+            );
     }
 
     /**
+     * @param {WebSocket} socket [description]
      * @param {CloseEvent} e [description]
      */
-    onSocketClose(e) {
-        this.isTwitchConnected = false;
-        this.logger.info('Twitch disconnected');
-        this.socket = null;
-
-        this.postChromeMessage('TFIN');
-    }
+    onSocketClose(socket, e) {
+        if (socket === this.retiringSocket) {
+            this.retiringSocket = null;
+            return;
+        }
 
-    /**
-     * @param {Event} e [description]
-     */
-    async onSocketOpen(e) {
-        const responseURL = await this.oauth();
-        const url = new URL(responseURL);
-        const responseParams = getHashParams(url.hash);
+        if (socket === this.pendingSocket) {
+            this.pendingSocket = null;
+        } else if (socket === this.socket) {
+            this.socket = null;
+            this.isTwitchConnected = false;
+            this.logger.info('Twitch disconnected');
+        } else {
+            return;
+        }
 
-        const state = responseParams.get('state');
-        const error = responseParams.get('error');
-        const errorDescription = responseParams.get('error_description');
+        if (this.isClosing) {
+            this.setConnectionState('closed');
+            this.broadcastChromeMessage('TFIN');
+            return;
+        }
 
-        if (error) {
-            throw new Error(
-                `Authentication Error (${error}): ${errorDescription}`
-            );
+        // the other socket is still alive, e.g. a pending socket after RECONNECT
+        if (this.pendingSocket || this.socket) {
+            return;
         }
 
-        chrome.storage.local.get('oauth_state', async ({ oauth_state }) => {
-            await chrome.storage.local.remove('oauth_state');
+        this.scheduleReconnect();
+    }
 
-            if (!oauth_state || oauth_state !== state) {
-                this.logger.warn(`Stored state: ${oauth_state}`);
-                this.logger.warn(`Returned state: ${state}`);
-                throw new Error(
-                    'Security Error: Invalid state parameter. Possible CSRF attack.'
-                );
+    /**
+     * @param {WebSocket} socket [description]
+     * @param {Event} e [description]
+     */
+    async onSocketOpen(socket, e) {
+        if (!this.anonymous) {
+            try {
+                const { accessToken, validation } =
+                    await this.auth.getAccessToken();
+                this.accessToken = accessToken;
+                this.identity = {
+                    login: validation.login,
+                    userId: validation.user_id,
+                    anonymous: false,
+                };
+                this.logger.info(`Authenticated as ${this.identity.login}`);
+                this.loadMissingChatBadges();
+            } catch (error) {
+                this.logger.error(error.message);
+                // logging in again also retries a token that could not be validated
+                this.broadcastChromeMessage('TAUT', {
+                    reason:
+                        error instanceof AuthRequiredError
+                            ? error.message
+                            : `Could not check the twitch login (${error.message})`,
+                });
+                // chat can still be read until the user logs in
+                this.logger.warn('Falling back to anonymous read only chat');
+                this.anonymous = true;
             }
+        }
 
-            const accessToken = responseParams.get('access_token');
-
-            if (!accessToken) {
-                throw new Error('Missing access token in OAuth response.');
-            }
+        if (this.anonymous) {
+            this.accessToken = null;
+            this.identity = {
+                login: `justinfan${Math.floor(10000 + Math.random() * 90000)}`,
+                userId: '',
+                anonymous: true,
+            };
+        }
 
-            this.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
-            this.send(`PASS oauth:${accessToken}`);
-            this.send('NICK hereugo');
-        });
+        this.send('CAP REQ :twitch.tv/tags twitch.tv/commands', socket);
+        if (!this.anonymous) {
+            this.send(`PASS oauth:${this.accessToken}`, socket);
+        }
+        this.send(`NICK ${this.identity.login}`, socket);
     }
 
     /**
@@ -287,25 +1135,37 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
 
     /**
      * @param {string} message [Send a IRC message to twitch]
+     * @param {WebSocket} [socket] [defaults to the live socket]
      */
-    send(message) {
-        this.socket.send(message);
+    send(message, socket = this.socket) {
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            this.logger.warn('Dropping IRC message, socket is not open');
+            return;
+        }
+        socket.send(message);
     }
 
     /**
      * @param {IRCMessage} ircMessage
+     * @param {WebSocket} [socket] [the socket the message was received on]
      */
-    onIRCMessage(ircMessage) {
-        this.logger.info(`Received ircMessage command: ${ircMessage.command}`);
-
+    onIRCMessage(ircMessage, socket = this.socket) {
         this.emit(ircMessage.command, ircMessage);
         switch (ircMessage.command) {
             case 'PING':
-                return this.handlePING(ircMessage);
+                return this.handlePING(ircMessage, socket);
             case 'NOTICE':
                 return this.handleNOTICE(ircMessage);
             case 'RECONNECT':
-                return this.handleRECONNECT(ircMessage);
+                return this.handleRECONNECT(ircMessage, socket);
+            case 'GLOBALUSERSTATE':
+                return this.handleGLOBALUSERSTATE(ircMessage);
+            case '376':
+                return this.handleEndOfMOTD(ircMessage, socket);
+            case 'JOIN':
+                return this.handleJOIN(ircMessage, socket);
+            case 'ROOMSTATE':
+                return this.handleROOMSTATE(ircMessage);
             // Ignore these messages
             case 'CAP':
             case '001':
@@ -315,7 +1175,6 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
             case '353':
             case '366':
             case '375':
-            case '376':
             case '372': {
                 break;
             }
@@ -327,9 +1186,10 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
 
     /**
      * @param {IRCMessage} ircMessage [description]
+     * @param {WebSocket} socket [description]
      */
-    handlePING(ircMessage) {
-        this.send(`PONG :tmi.twitch.tv`);
+    handlePING(ircMessage, socket) {
+        this.send(`PONG :tmi.twitch.tv`, socket);
     }
 
     /**
@@ -339,26 +1199,72 @@ class WorkerInterfacer extends PublishSubscribeTemplate {
         const msgId = ircMessage.tags['msg-id'];
         if (msgId !== null) {
             this.logger.error(`Error: ${msgId}, ${ircMessage.params[1]}`);
-            this.postChromeMessage('TERR', {
+
+            /** @type {import('./types.js').ErrorPayload} */
+            const payload = {
+                code: 'notice',
+                message: ircMessage.params[1] || '',
                 reason: msgId,
-                description: ircMessage.params[1],
-            });
+            };
+            // notices about the connection itself are sent to `*`
+            if (this.channels.get(ircMessage.params[0])) {
+                this.postChannelMessage(ircMessage.params[0], 'TERR', payload);
+            } else {
+                this.broadcastChromeMessage('TERR', payload);
+            }
         }
     }
 
     /**
+     * Twitch is about to restart the server, open a new socket and keep reading
+     * from the current one until the new socket has joined.
+     *
      * @param {IRCMessage} ircMessage [description]
+     * @param {WebSocket} socket [description]
+     */
+    handleRECONNECT(ircMessage, socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.logger.info('Twitch asked to reconnect');
+        this.setConnectionState('reconnecting', 0);
+        this.connectTwitch();
+    }
+
+    /**
+     * @param {WebSocket} [socket] [description]
+     * @param {ChannelState[]} [channels] [defaults to every channel watched by a port]
      */
-    handleRECONNECT(ircMessage) {}
+    join(socket = this.socket, channels = this.channels.all) {
+        if (channels.length === 0) {
+            return;
+        }
 
-    join() {
-        this.logger.info(`Joining channel: ${this.channel}`);
-        this.send(`JOIN #${this.channel}`);
+        const names = channels.map((channel) => `#${channel.name}`).join(',');
+        this.logger.info(`Joining channels: ${names}`);
+        this.send(`JOIN ${names}`, socket);
     }
 
-    part() {
-        this.logger.info(`Leaving channel: ${this.channel}`);
-        this.send(`PART #${this.channel}`);
+    /**
+     * @param {ChannelState} channel [description]
+     */
+    part(channel) {
+        this.logger.info(`Leaving channel: ${channel.name}`);
+        this.getJoinedSockets().forEach((socket) =>
+            this.send(`PART #${channel.name}`, socket)
+        );
+    }
+
+    /**
+     * [the live socket and, during a RECONNECT overlap, the pending one once it has logged in]
+     *
+     * @returns {WebSocket[]}
+     */
+    getJoinedSockets() {
+        return [this.socket, this.pendingSocket].filter(
+            (socket) => socket && this.registeredSockets.has(socket)
+        );
     }
 }
 
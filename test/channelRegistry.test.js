@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ChannelRegistry,
+    HISTORY_GRACE_PERIOD,
+} from '../src/channelRegistry.js';
+
+/**
+ * Stands in for a chrome.runtime.Port, the registry only uses it as a key.
+ */
+function createPort() {
+    return /** @type {chrome.runtime.Port} */ ({});
+}
+
+describe('ChannelRegistry', () => {
+    it('keeps the history of a channel reopened within the grace period', () => {
+        const registry = new ChannelRegistry();
+        const first = createPort();
+        registry
+            .add(first, 'Dallas')
+            .channel.history.push({ command: 'PRIVMSG' });
+        registry.remove(first);
+
+        const { channel, isNew } = registry.add(createPort(), 'dallas');
+        assert.equal(isNew, true);
+        assert.deepEqual(channel.history.toArray(), [{ command: 'PRIVMSG' }]);
+    });
+
+    it('drops the history once the grace period is over', (t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        const registry = new ChannelRegistry();
+        const first = createPort();
+        registry
+            .add(first, 'dallas')
+            .channel.history.push({ command: 'PRIVMSG' });
+        registry.remove(first);
+
+        t.mock.timers.tick(HISTORY_GRACE_PERIOD);
+        const { channel } = registry.add(createPort(), 'dallas');
+        assert.deepEqual(channel.history.toArray(), []);
+        assert.equal(registry.pastHistories.size, 0);
+    });
+
+    it('keeps the history while another port still watches the channel', () => {
+        const registry = new ChannelRegistry();
+        const first = createPort();
+        const second = createPort();
+        registry
+            .add(first, 'dallas')
+            .channel.history.push({ command: 'PRIVMSG' });
+        registry.add(second, 'dallas');
+
+        assert.equal(registry.remove(first).isEmpty, false);
+        assert.equal(registry.pastHistories.size, 0);
+        assert.equal(registry.get('#dallas').history.toArray().length, 1);
+    });
+});
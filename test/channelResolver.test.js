@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveChannelFromPath } from '../src/channelResolver.js';
+
+describe('resolveChannelFromPath', () => {
+    [
+        ['/Dallas', 'dallas'],
+        ['/dallas/clip/SomeClipSlug', 'dallas'],
+        ['/popout/dallas/chat', 'dallas'],
+        ['/moderator/dallas', 'dallas'],
+        ['/videos/123456', null],
+        ['/team/streamers', null],
+        ['/directory/category/just-chatting', null],
+        ['/%E0%A4%A', null],
+        ['/popout/%E0%A4%A/chat', null],
+        ['/not-a-login', null],
+        ['/', null],
+    ].forEach(([pathname, channel]) => {
+        it(`resolves ${pathname} to ${channel}`, () => {
+            assert.equal(resolveChannelFromPath(pathname), channel);
+        });
+    });
+});
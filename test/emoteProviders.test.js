@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmoteProvider, EmoteProviderManager } from '../src/emoteProviders.js';
+
+/**
+ * In memory stand in for `chrome.storage.local`.
+ */
+class FakeStorageArea {
+    items = {};
+    isFull = false;
+
+    async get(keys) {
+        if (keys === null) {
+            return { ...this.items };
+        }
+        return Object.fromEntries(
+            [keys]
+                .flat()
+                .filter((key) => key in this.items)
+                .map((key) => [key, this.items[key]])
+        );
+    }
+
+    async set(items) {
+        if (this.isFull) {
+            throw new Error('QUOTA_BYTES quota exceeded');
+        }
+        Object.assign(this.items, items);
+    }
+
+    async remove(keys) {
+        [keys].flat().forEach((key) => delete this.items[key]);
+    }
+}
+
+class FakeProvider extends EmoteProvider {
+    name = 'fake';
+
+    async fetchGlobal() {
+        return [
+            {
+                id: '1',
+                name: 'catJAM',
+                provider: 'fake',
+                urls: { 1: '', 2: '', 3: '' },
+            },
+        ];
+    }
+}
+
+/**
+ * @returns {EmoteProviderManager} - A manager asking only `FakeProvider`.
+ */
+function createManager() {
+    const manager = new EmoteProviderManager();
+    manager.providers = [new FakeProvider('https://fake.test')];
+    return manager;
+}
+
+describe('EmoteProviderManager', () => {
+    /** @type {FakeStorageArea} */
+    let storage;
+
+    beforeEach(() => {
+        storage = new FakeStorageArea();
+        globalThis.chrome = /** @type {*} */ ({ storage: { local: storage } });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        delete globalThis.chrome;
+        mock.restoreAll();
+    });
+
+    it('returns fetched emotes when the cache cannot be written', async () => {
+        storage.isFull = true;
+        const emotes = await createManager().loadGlobal();
+        assert.deepEqual(
+            emotes.map((emote) => emote.name),
+            ['catJAM']
+        );
+    });
+
+    it('caches fetched emotes', async () => {
+        await createManager().loadGlobal();
+        assert.deepEqual(Object.keys(storage.items), [
+            'emoteCache:fake:global',
+        ]);
+    });
+
+    it('removes cache entries expired for longer than the stale ttl', async () => {
+        const manager = createManager();
+        const now = Date.now();
+        storage.items = {
+            'emoteCache:bttv:channel:1': {
+                expiresAt: now - manager.CACHE_STALE_TTL - 1,
+            },
+            'emoteCache:ffz:channel:2': { expiresAt: now - 1 },
+            settings: {},
+        };
+
+        await manager.loadGlobal();
+        assert.deepEqual(Object.keys(storage.items).sort(), [
+            'emoteCache:fake:global',
+            'emoteCache:ffz:channel:2',
+            'settings',
+        ]);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IRCMessage from '../src/ircMessage.js';
+import { MessageFilter } from '../src/filters.js';
+import { DEFAULT_SETTINGS } from '../src/settings.js';
+
+/**
+ * @param {string} login
+ * @param {string} text
+ * @param {string} [tags] - Raw tags without the leading `@`.
+ * @returns {IRCMessage}
+ */
+function createMessage(login, text, tags = 'first-msg=0') {
+    return IRCMessage.parse(
+        `@${tags} :${login}!${login}@${login}.tmi.twitch.tv PRIVMSG #dallas :${text}`
+    );
+}
+
+/**
+ * Each case applies `rules` over the default filters and checks one message, the logged in user is `me`.
+ * @type {Array<{name: string, rules: Object, message: IRCMessage, expected: import('../src/filters.js').FilterMatch | null}>}
+ */
+const CASES = [
+    {
+        name: 'keeps messages without rules',
+        rules: {},
+        message: createMessage('viewer', '!hello hi'),
+        expected: null,
+    },
+    {
+        name: 'hides ignored users regardless of case and @',
+        rules: { ignoredUsers: ['@Spammer'] },
+        message: createMessage('spammer', 'buy followers'),
+        expected: { reason: 'user', term: 'spammer' },
+    },
+    {
+        name: 'hides bots of the preset',
+        rules: { ignoreBots: true },
+        message: createMessage('nightbot', 'Follow the stream!'),
+        expected: { reason: 'bot', term: 'nightbot' },
+    },
+    {
+        name: 'keeps bots while the preset is off',
+        rules: { ignoreBots: false },
+        message: createMessage('nightbot', 'Follow the stream!'),
+        expected: null,
+    },
+    {
+        name: 'hides commands',
+        rules: { hideCommands: true },
+        message: createMessage('viewer', '!uptime please'),
+        expected: { reason: 'command', term: '!uptime' },
+    },
+    {
+        name: 'keeps an ! inside the text',
+        rules: { hideCommands: true },
+        message: createMessage('viewer', 'gg !'),
+        expected: null,
+    },
+    {
+        name: 'hides blocked words',
+        rules: { blockedTerms: ['spoiler'] },
+        message: createMessage('viewer', 'no SPOILER please'),
+        expected: { reason: 'term', term: 'spoiler' },
+    },
+    {
+        name: 'matches blocked words as whole words only',
+        rules: { blockedTerms: ['spoiler'] },
+        message: createMessage('viewer', 'spoilers ahead'),
+        expected: null,
+    },
+    {
+        name: 'hides messages matching a blocked regular expression',
+        rules: { blockedTerms: ['/bit\\.ly\\/\\w+/i'] },
+        message: createMessage('viewer', 'see BIT.LY/abc'),
+        expected: { reason: 'term', term: '/bit\\.ly\\/\\w+/i' },
+    },
+    {
+        name: 'hides first messages when asked to',
+        rules: { firstMessages: 'hide' },
+        message: createMessage('newbie', 'hello', 'first-msg=1'),
+        expected: { reason: 'first-message', term: 'newbie' },
+    },
+    {
+        name: 'only marks first messages when asked to',
+        rules: { firstMessages: 'mark' },
+        message: createMessage('newbie', 'hello', 'first-msg=1'),
+        expected: null,
+    },
+    {
+        name: 'keeps later messages of a user',
+        rules: { firstMessages: 'hide' },
+        message: createMessage('newbie', 'hello again'),
+        expected: null,
+    },
+    {
+        name: 'never hides messages of the logged in user',
+        rules: {
+            ignoredUsers: ['me'],
+            hideCommands: true,
+            blockedTerms: ['spoiler'],
+            firstMessages: 'hide',
+        },
+        message: createMessage('Me', '!spoiler', 'first-msg=1'),
+        expected: null,
+    },
+];
+
+describe('MessageFilter.check', () => {
+    CASES.forEach(({ name, rules, message, expected }) => {
+        it(name, () => {
+            const filter = new MessageFilter();
+            filter.setRules({ ...DEFAULT_SETTINGS.filters, ...rules });
+            filter.setLogin('ME');
+            assert.deepEqual(filter.check(message), expected);
+        });
+    });
+});
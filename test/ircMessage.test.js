@@ -0,0 +1,266 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IRCMessage from '../src/ircMessage.js';
+
+/**
+ * Lines as sent by twitch, each one must survive parse -> toString -> parse unchanged.
+ * `serialized` is set when `toString` writes an equivalent line that differs from the original.
+ * `accessors` lists the expected values of the getters reading the tags.
+ */
+const TWITCH_LINES = [
+    {
+        name: 'PRIVMSG',
+        line: '@badge-info=subscriber/14;badges=subscriber/12,premium/1;client-nonce=2b4e6ac0f6a3e9d1c5b7a8f9e0d1c2b3;color=#1E90FF;display-name=Ronni;emotes=25:0-4,12-16/1902:6-10;first-msg=0;flags=;id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;mod=0;returning-chatter=0;room-id=1337;subscriber=1;tmi-sent-ts=1507246572675;turbo=0;user-id=1337;user-type= :ronni!ronni@ronni.tmi.twitch.tv PRIVMSG #ronni :Kappa Keepo Kappa',
+        expected: {
+            command: 'PRIVMSG',
+            prefix: {
+                nickname: 'ronni',
+                user: 'ronni',
+                host: 'ronni.tmi.twitch.tv',
+            },
+            params: ['#ronni', 'Kappa Keepo Kappa'],
+        },
+        accessors: {
+            badges: [
+                { set: 'subscriber', version: '12', info: '14' },
+                { set: 'premium', version: '1', info: '' },
+            ],
+            emotes: [
+                { id: '25', name: 'Kappa', start: 0, end: 5 },
+                { id: '1902', name: 'Keepo', start: 6, end: 11 },
+                { id: '25', name: 'Kappa', start: 12, end: 17 },
+            ],
+            sentAt: new Date(1507246572675),
+            bits: 0,
+            isFirstMessage: false,
+            replyParent: null,
+        },
+    },
+    {
+        name: 'PRIVMSG first message',
+        line: '@badge-info=;badges=glhf-pledge/1;client-nonce=OTg3NjU0MzIxMGFiY2RlZg==;color=;display-name=newbie;emotes=305954156:2-9;first-msg=1;flags=;id=7c1f0a2e-5b3d-4e6f-8a9b-0c1d2e3f4a5b;mod=0;returning-chatter=0;room-id=12345;subscriber=0;tmi-sent-ts=1690000000004;turbo=0;user-id=97531;user-type= :newbie!newbie@newbie.tmi.twitch.tv PRIVMSG #streamer :\u{1F600} PogChamp hi',
+        expected: {
+            command: 'PRIVMSG',
+            params: ['#streamer', '\u{1F600} PogChamp hi'],
+            tags: { 'client-nonce': 'OTg3NjU0MzIxMGFiY2RlZg==' },
+        },
+        accessors: {
+            badges: [{ set: 'glhf-pledge', version: '1', info: '' }],
+            emotes: [{ id: '305954156', name: 'PogChamp', start: 3, end: 11 }],
+            sentAt: new Date(1690000000004),
+            bits: 0,
+            isFirstMessage: true,
+            replyParent: null,
+        },
+    },
+    {
+        name: 'PRIVMSG cheer',
+        line: '@badge-info=;badges=bits/100;bits=100;color=#0000FF;display-name=Cheerer;emotes=;first-msg=0;flags=;id=9e8d7c6b-5a4f-4e3d-2c1b-0a9f8e7d6c5b;mod=0;returning-chatter=0;room-id=12345;subscriber=0;tmi-sent-ts=1690000000005;turbo=0;user-id=86420;user-type= :cheerer!cheerer@cheerer.tmi.twitch.tv PRIVMSG #streamer :Cheer100 great play',
+        expected: {
+            command: 'PRIVMSG',
+            params: ['#streamer', 'Cheer100 great play'],
+        },
+        accessors: {
+            badges: [{ set: 'bits', version: '100', info: '' }],
+            emotes: [],
+            sentAt: new Date(1690000000005),
+            bits: 100,
+            isFirstMessage: false,
+            replyParent: null,
+        },
+    },
+    {
+        name: 'PRIVMSG reply',
+        line: '@badge-info=;badges=;color=;display-name=viewer;emotes=;first-msg=0;flags=;id=f1c3d5e7-0a2b-4c6d-8e0f-1a3b5c7d9e1f;mod=0;reply-parent-display-name=Streamer;reply-parent-msg-body=hello\\sthere\\:\\sall;reply-parent-msg-id=0d9a0b4e-3e4c-4a56-9c2b-7a3c1b1f8e11;reply-parent-user-id=12345;reply-parent-user-login=streamer;returning-chatter=0;room-id=12345;subscriber=0;tmi-sent-ts=1690000000000;turbo=0;user-id=67890;user-type= :viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #streamer :@Streamer hi',
+        expected: {
+            command: 'PRIVMSG',
+            params: ['#streamer', '@Streamer hi'],
+            tags: { 'reply-parent-msg-body': 'hello there; all' },
+        },
+        accessors: {
+            replyParent: {
+                id: '0d9a0b4e-3e4c-4a56-9c2b-7a3c1b1f8e11',
+                login: 'streamer',
+                displayName: 'Streamer',
+                body: 'hello there; all',
+            },
+        },
+    },
+    {
+        name: 'PRIVMSG action',
+        line: '@badge-info=;badges=moderator/1;color=#FF4500;display-name=modname;emotes=;id=2a6c5e0b-7d3f-4c1a-9b8e-5f4d3c2b1a09;mod=1;room-id=12345;subscriber=0;tmi-sent-ts=1690000000001;turbo=0;user-id=24680;user-type=mod :modname!modname@modname.tmi.twitch.tv PRIVMSG #streamer :\u0001ACTION waves\u0001',
+        expected: {
+            command: 'PRIVMSG',
+            params: ['#streamer', '\u0001ACTION waves\u0001'],
+        },
+    },
+    {
+        name: 'USERNOTICE resub',
+        line: "@badge-info=subscriber/8;badges=subscriber/6;color=#8A2BE2;display-name=Sub_Fan;emotes=;flags=;id=db25007f-7a18-43eb-9379-80131e44d633;login=sub_fan;mod=0;msg-id=resub;msg-param-cumulative-months=8;msg-param-months=0;msg-param-should-share-streak=0;msg-param-sub-plan-name=Channel\\sSubscription\\s(streamer=1);msg-param-sub-plan=1000;room-id=12345;subscriber=1;system-msg=Sub_Fan\\ssubscribed\\sat\\sTier\\s1.\\sThey've\\ssubscribed\\sfor\\s8\\smonths!;tmi-sent-ts=1690000000002;user-id=13579;user-type= :tmi.twitch.tv USERNOTICE #streamer :Great stream -- keep it up!",
+        expected: {
+            command: 'USERNOTICE',
+            prefix: { host: 'tmi.twitch.tv' },
+            params: ['#streamer', 'Great stream -- keep it up!'],
+            tags: {
+                'msg-param-sub-plan-name': 'Channel Subscription (streamer=1)',
+                'system-msg':
+                    "Sub_Fan subscribed at Tier 1. They've subscribed for 8 months!",
+            },
+        },
+    },
+    {
+        name: 'USERNOTICE raid without message',
+        line: '@badge-info=;badges=turbo/1;color=#9ACD32;display-name=TestChannel;emotes=;flags=;id=3d830f12-795c-447d-af3c-ea05e40fbddb;login=testchannel;mod=0;msg-id=raid;msg-param-displayName=TestChannel;msg-param-login=testchannel;msg-param-viewerCount=15;room-id=33332222;subscriber=0;system-msg=15\\sraiders\\sfrom\\sTestChannel\\shave\\sjoined\\n!;tmi-sent-ts=1507246572675;turbo=1;user-id=123456;user-type= :tmi.twitch.tv USERNOTICE #othertestchannel',
+        expected: {
+            command: 'USERNOTICE',
+            params: ['#othertestchannel'],
+            tags: {
+                'system-msg': '15 raiders from TestChannel have joined\n!',
+            },
+        },
+    },
+    {
+        name: 'CLEARMSG',
+        line: '@login=ronni;room-id=;target-msg-id=abc-123-def;tmi-sent-ts=1642720582342 :tmi.twitch.tv CLEARMSG #dallas :HeyGuys',
+        expected: {
+            command: 'CLEARMSG',
+            params: ['#dallas', 'HeyGuys'],
+            tags: { 'room-id': '', 'target-msg-id': 'abc-123-def' },
+        },
+    },
+    {
+        name: 'CLEARCHAT timeout',
+        line: '@ban-duration=350;room-id=12345678;target-user-id=87654321;tmi-sent-ts=1642719320727 :tmi.twitch.tv CLEARCHAT #dallas :ronni',
+        expected: {
+            command: 'CLEARCHAT',
+            params: ['#dallas', 'ronni'],
+        },
+    },
+    {
+        name: 'ROOMSTATE',
+        line: '@emote-only=0;followers-only=-1;r9k=0;room-id=12345678;slow=0;subs-only=0 :tmi.twitch.tv ROOMSTATE #bar',
+        expected: {
+            command: 'ROOMSTATE',
+            prefix: { host: 'tmi.twitch.tv' },
+            params: ['#bar'],
+            tags: { 'followers-only': '-1', slow: '0' },
+        },
+    },
+    {
+        name: 'ROOMSTATE update',
+        line: '@room-id=12345678;slow=10 :tmi.twitch.tv ROOMSTATE #bar',
+        expected: {
+            command: 'ROOMSTATE',
+            params: ['#bar'],
+            tags: { 'room-id': '12345678', slow: '10' },
+        },
+    },
+    {
+        name: 'NOTICE',
+        line: '@msg-id=msg_channel_suspended :tmi.twitch.tv NOTICE #channel :This channel does not exist or has been suspended.',
+        expected: {
+            command: 'NOTICE',
+            params: [
+                '#channel',
+                'This channel does not exist or has been suspended.',
+            ],
+        },
+    },
+    {
+        name: 'JOIN',
+        line: ':ronni!ronni@ronni.tmi.twitch.tv JOIN #dallas',
+        expected: { command: 'JOIN', params: ['#dallas'] },
+    },
+    {
+        name: 'PING',
+        line: 'PING :tmi.twitch.tv',
+        serialized: 'PING tmi.twitch.tv',
+        expected: { command: 'PING', prefix: {}, params: ['tmi.twitch.tv'] },
+    },
+];
+
+/**
+ * @param {IRCMessage} message
+ */
+function fieldsOf(message) {
+    const { command, prefix, tags, params } = message.toJSON();
+    return { command, prefix, tags, params };
+}
+
+describe('IRCMessage', () => {
+    describe('parse -> toString -> parse', () => {
+        TWITCH_LINES.forEach(
+            ({ name, line, serialized = line, expected, accessors = {} }) => {
+                it(name, () => {
+                    const message = IRCMessage.parse(line);
+                    const { tags = {}, ...fields } = expected;
+                    Object.entries(fields).forEach(([field, value]) => {
+                        assert.deepEqual(message[field], value, field);
+                    });
+                    Object.entries(tags).forEach(([key, value]) => {
+                        assert.equal(message.tags[key], value, key);
+                    });
+                    Object.entries(accessors).forEach(([accessor, value]) => {
+                        assert.deepEqual(message[accessor], value, accessor);
+                    });
+
+                    assert.equal(message.toString(), serialized);
+                    assert.deepEqual(
+                        fieldsOf(IRCMessage.parse(message.toString())),
+                        fieldsOf(message)
+                    );
+                });
+            }
+        );
+    });
+
+    describe('toString', () => {
+        it('separates the user and the host of a prefix without nickname', () => {
+            const message = IRCMessage.parse(':!user@host.tv PRIVMSG #a :hi');
+            assert.deepEqual(message.prefix, { user: 'user', host: 'host.tv' });
+            assert.equal(message.toString(), ':!user@host.tv PRIVMSG #a :hi');
+        });
+
+        it('escapes tag values set after parsing', () => {
+            const message = IRCMessage.parse('PRIVMSG #a :hi');
+            message.setTag('reply-parent-msg-body', 'a; b\\c');
+            assert.equal(
+                message.toString(),
+                '@reply-parent-msg-body=a\\:\\sb\\\\c PRIVMSG #a :hi'
+            );
+            assert.equal(
+                IRCMessage.parse(message.toString()).tags[
+                    'reply-parent-msg-body'
+                ],
+                'a; b\\c'
+            );
+        });
+
+        it('keeps a single parameter trailing when it needs to', () => {
+            ['', 'two words', ':colon'].forEach((param) => {
+                const message = new IRCMessage();
+                message.command = 'PING';
+                message.params = [param];
+                assert.deepEqual(IRCMessage.parse(message.toString()).params, [
+                    param,
+                ]);
+            });
+        });
+    });
+
+    describe('parse', () => {
+        it('drops the backslash of unknown escapes and a trailing one', () => {
+            const message = IRCMessage.parse('@a=\\b\\;c=d\\ PING');
+            assert.equal(message.tags.a, 'b');
+            assert.equal(message.tags.c, 'd');
+        });
+
+        it('strips the line terminator and extra spaces', () => {
+            const message = IRCMessage.parse(
+                ':tmi.twitch.tv  CLEARCHAT   #dallas\r\n'
+            );
+            assert.equal(message.command, 'CLEARCHAT');
+            assert.deepEqual(message.params, ['#dallas']);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageBatcher } from '../src/messageBatcher.js';
+
+/**
+ * @param {number} count
+ * @param {string} [command]
+ * @returns {Object[]} - Chat events as JSON, numbered by their text.
+ */
+function createMessages(count, command = 'PRIVMSG') {
+    return Array.from({ length: count }, (_, i) => ({
+        command,
+        params: ['#dallas', `${i}`],
+    }));
+}
+
+/**
+ * @returns {{batcher: MessageBatcher, batches: import('../src/messageBatcher.js').MessageBatch[]}}
+ */
+function createBatcher() {
+    const batches = [];
+    const batcher = new MessageBatcher((batch) => batches.push(batch), {
+        isDroppable: (payload) => payload.command === 'PRIVMSG',
+    });
+    return { batcher, batches };
+}
+
+describe('MessageBatcher', () => {
+    it('flushes the messages of a window 100 ms after its first one', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+        const [first, second] = createMessages(2);
+
+        batcher.push(first);
+        t.mock.timers.tick(50);
+        batcher.push(second);
+        t.mock.timers.tick(49);
+        assert.equal(batches.length, 0);
+
+        t.mock.timers.tick(1);
+        assert.deepEqual(batches, [{ messages: [first, second], dropped: 0 }]);
+    });
+
+    it('starts the next window with the next message', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+        const [first, second] = createMessages(2);
+
+        batcher.push(first);
+        t.mock.timers.tick(100);
+        t.mock.timers.tick(100);
+        batcher.push(second);
+        t.mock.timers.tick(100);
+
+        assert.deepEqual(
+            batches.map((batch) => batch.messages),
+            [[first], [second]]
+        );
+    });
+
+    it('drops and counts droppable messages beyond 200', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+        const messages = createMessages(250);
+
+        messages.forEach((message) => batcher.push(message));
+        t.mock.timers.tick(100);
+
+        assert.equal(batches.length, 1);
+        assert.deepEqual(batches[0].messages, messages.slice(0, 200));
+        assert.equal(batches[0].dropped, 50);
+    });
+
+    it('keeps messages that are not droppable once full', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+        const [clearChat] = createMessages(1, 'CLEARCHAT');
+
+        createMessages(201).forEach((message) => batcher.push(message));
+        batcher.push(clearChat);
+        t.mock.timers.tick(100);
+
+        assert.equal(batches[0].messages.length, 201);
+        assert.equal(batches[0].messages[200], clearChat);
+        assert.equal(batches[0].dropped, 1);
+    });
+
+    it('resets the dropped count with every batch', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+
+        createMessages(210).forEach((message) => batcher.push(message));
+        t.mock.timers.tick(100);
+        createMessages(1).forEach((message) => batcher.push(message));
+        t.mock.timers.tick(100);
+
+        assert.deepEqual(
+            batches.map((batch) => batch.dropped),
+            [10, 0]
+        );
+    });
+
+    it('discards the current batch on clear', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { batcher, batches } = createBatcher();
+
+        createMessages(210).forEach((message) => batcher.push(message));
+        batcher.clear();
+        t.mock.timers.tick(100);
+
+        assert.equal(batches.length, 0);
+    });
+});
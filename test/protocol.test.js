@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PROTOCOL_VERSION,
+    PendingRequests,
+    ProtocolError,
+    createMessage,
+    validateMessage,
+} from '../src/protocol.js';
+
+describe('validateMessage', () => {
+    it('accepts a valid request of the content script', () => {
+        const message = createMessage(
+            'content',
+            'CSYN',
+            { channel: 'dallas' },
+            { id: 1 }
+        );
+        assert.deepEqual(validateMessage(message, 'content'), {
+            version: PROTOCOL_VERSION,
+            command: 'CSYN',
+            payload: { channel: 'dallas' },
+            id: 1,
+        });
+    });
+
+    /** @type {Array<[string, *, "content" | "worker"]>} */ ([
+        ['malformed', null, 'content'],
+        ['version', { version: 0, command: 'CSYN', payload: {} }, 'content'],
+        [
+            'unknown-command',
+            { version: PROTOCOL_VERSION, command: 'TIRC', payload: {} },
+            'worker',
+        ],
+        [
+            'invalid-payload',
+            { version: PROTOCOL_VERSION, command: 'CMSG', payload: {} },
+            'content',
+        ],
+        [
+            'invalid-payload',
+            {
+                version: PROTOCOL_VERSION,
+                command: 'CMOD',
+                payload: { action: 'purge', userId: '1', login: 'a' },
+            },
+            'content',
+        ],
+    ]).forEach(([code, message, sender]) => {
+        it(`rejects ${JSON.stringify(message)} with ${code}`, () => {
+            assert.throws(
+                () => validateMessage(message, sender),
+                (error) => error instanceof ProtocolError && error.code === code
+            );
+        });
+    });
+});
+
+describe('PendingRequests', () => {
+    it('resolves a request with its response', async () => {
+        const requests = new PendingRequests();
+        const { id, response } = requests.add('CSYN');
+        const ack = createMessage('worker', 'CACK', {}, { replyTo: id });
+
+        assert.equal(requests.settle(ack), true);
+        assert.equal(await response, ack);
+    });
+
+    it('rejects a request answered with TERR', async () => {
+        const requests = new PendingRequests();
+        const { id, response } = requests.add('CMOD');
+        requests.settle(
+            createMessage(
+                'worker',
+                'TERR',
+                { code: 'invalid-payload', message: 'bad', command: 'TMOD' },
+                { replyTo: id }
+            )
+        );
+
+        await assert.rejects(response, { code: 'invalid-payload' });
+    });
+
+    it('ignores responses to unknown requests', () => {
+        const requests = new PendingRequests();
+        assert.equal(
+            requests.settle(
+                createMessage('worker', 'CACK', {}, { replyTo: 42 })
+            ),
+            false
+        );
+    });
+});
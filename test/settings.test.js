@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_SETTINGS,
+    SETTINGS_QUOTA_BYTES,
+    getSettingsSize,
+    validateSettings,
+} from '../src/settings.js';
+
+/**
+ * @param {number} length
+ * @returns {string[]} - More and longer entries than any list allows.
+ */
+function createList(length) {
+    return Array.from(
+        { length: 500 },
+        (_, i) => `${i}`.padStart(length, 'x') + 'y'.repeat(500)
+    );
+}
+
+describe('validateSettings', () => {
+    it('keeps the largest valid ASCII settings below the sync quota', () => {
+        const url = `https://${'a'.repeat(500)}.com`;
+        const settings = validateSettings({
+            font: { family: 'f'.repeat(500) },
+            recentMessages: { url },
+            helix: { url: url.slice(0, 100) },
+            emoteProviders: {
+                bttv: url.slice(0, 100),
+                ffz: url.slice(0, 100),
+                '7tv': url.slice(0, 100),
+            },
+            highlights: { keywords: createList(10), users: createList(10) },
+            filters: {
+                ignoredUsers: createList(10),
+                blockedTerms: createList(10),
+            },
+        });
+
+        assert.ok(getSettingsSize(settings) <= SETTINGS_QUOTA_BYTES);
+        assert.equal(
+            settings.recentMessages.url,
+            DEFAULT_SETTINGS.recentMessages.url
+        );
+        assert.ok(settings.highlights.users.every((user) => user.length <= 25));
+    });
+
+    it('trims, dedupes and drops empty list entries', () => {
+        const settings = validateSettings({
+            filters: { ignoredUsers: [' nightbot ', 'nightbot', '', 42] },
+        });
+        assert.deepEqual(settings.filters.ignoredUsers, ['nightbot']);
+    });
+});
+
+describe('getSettingsSize', () => {
+    it('counts characters outside of ASCII by their UTF-8 bytes', () => {
+        const ascii = validateSettings({ highlights: { keywords: ['aa'] } });
+        const emoji = validateSettings({ highlights: { keywords: ['😀'] } });
+        assert.equal(getSettingsSize(emoji) - getSettingsSize(ascii), 2);
+    });
+});